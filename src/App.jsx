@@ -5,67 +5,166 @@ import ProjectList from './components/ProjectList';
 import ProjectForm from './components/ProjectForm.jsx';
 import ResultsDisplay from './components/ResultsDisplay.jsx';
 import ProjectDashboard from './components/ProjectDashboard.jsx';
-import { loadProductsFromCSV } from './utils/csvParser.js';
-import { findMatchingProducts, analyzeProject } from './services/productMatcher.js';
+import CatalogHealthReport from './components/CatalogHealthReport.jsx';
+import CatalogImport from './components/CatalogImport.jsx';
+import GlobalSearch from './components/GlobalSearch.jsx';
+import CatalogBrowser from './components/CatalogBrowser.jsx';
+import { loadCatalogFromCSV } from './utils/csvParser.js';
+import { getCatalogIndex, getManufacturers } from './services/catalogIndex.js';
+import { createMatchingClient, isCancelledError } from './services/matchingClient.js';
+import { getReservedQuantities } from './services/inventoryReservations.js';
+import { getStoredReservations } from './utils/reservationStorage.js';
 import './App.css';
 
+// Runs matching in a Web Worker so the UI stays responsive
+const matchingClient = createMatchingClient();
+
+/**
+ * Describe matching progress for the processing overlay
+ * @param {Object} progress - Progress from the matching client ({ stage, completed, total })
+ * @returns {{ label: string, percent: number }} Progress label and percentage
+ */
+const describeProgress = (progress) => {
+  switch (progress.stage) {
+    case 'scoring':
+      return {
+        label: `Scoring products (${progress.completed.toLocaleString()} of ${progress.total.toLocaleString()})`,
+        percent: progress.total > 0 ? (progress.completed / progress.total) * 100 : 100
+      };
+    case 'analyzing':
+      return { label: 'Building recommendations', percent: 100 };
+    default:
+      return { label: `Filtering ${progress.total.toLocaleString()} products`, percent: 0 };
+  }
+};
+
 /**
  * Main Application Component
  * Manages application state and coordinates between form and results
+ * for the logged-in user
  */
-function AppContent() {
-  const { currentUser } = useAuth();
-  const { saveProject } = useAuth();
+function Workspace() {
+  const { isAdmin, saveProject } = useAuth();
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadedCount, setLoadedCount] = useState(0);
+  const [catalogReport, setCatalogReport] = useState(null);
+  const [catalogSource, setCatalogSource] = useState(null);
   const [error, setError] = useState(null);
-  const [currentView, setCurrentView] = useState('projectList'); // 'projectList', 'form', 'results', or 'dashboard'
+  // 'projectList', 'form', 'results', 'dashboard', 'catalogImport' or 'catalogBrowser'
+  // Browser links (?view=browse&...) open straight into the catalog browser
+  const [currentView, setCurrentView] = useState(() => (
+    new URLSearchParams(window.location.search).get('view') === 'browse' ? 'catalogBrowser' : 'projectList'
+  ));
   const [projectAnalysis, setProjectAnalysis] = useState(null);
   const [currentProject, setCurrentProject] = useState(null);
+  const [resultsSortBy, setResultsSortBy] = useState('score');
   const [processingRequest, setProcessingRequest] = useState(false);
+  const [matchingProgress, setMatchingProgress] = useState(null);
 
-  // Show auth screen if not logged in
-  if (!currentUser) {
-    return <Auth />;
-  }
+  // Load the active catalog (an accepted import, or the bundled CSV)
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const { products: loadedProducts, report, source } = await loadCatalogFromCSV('/products.csv', {
+        onProgress: ({ rows }) => setLoadedCount(rows)
+      });
+      // Index once at load time so matching doesn't pay for it
+      getCatalogIndex(loadedProducts);
+      setProducts(loadedProducts);
+      setCatalogReport(report);
+      setCatalogSource(source);
 
-  // Load products on mount
-  useEffect(() => {
-    const loadData = async () => {
-      try {
-        setLoading(true);
-        const loadedProducts = await loadProductsFromCSV('/products.csv');
-        setProducts(loadedProducts);
+      if (loadedProducts.length === 0) {
+        setError('The product catalog failed validation. See the catalog health report below.');
+      } else {
         setError(null);
-      } catch (err) {
-        console.error('Failed to load products:', err);
-        setError('Failed to load product data. Please refresh the page.');
-      } finally {
-        setLoading(false);
       }
-    };
+    } catch (err) {
+      console.error('Failed to load products:', err);
+      setError('Failed to load product data. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  // Load products on mount
+  useEffect(() => {
     loadData();
   }, []);
 
-  // Handle form submission
-  const handleProjectSubmit = async (specification) => {
+  // Keep the matching worker's catalog in sync
+  useEffect(() => {
+    matchingClient.setCatalog(products);
+  }, [products]);
+
+  // Run matching and analysis for a specification
+  // Matching sees stock available to promise: reservations ahead of the
+  // project's own (first come, first served) are taken out.
+  // Resolves to null if the run was cancelled.
+  const runAnalysis = async (specification, projectId = null) => {
+    setProcessingRequest(true);
+    setMatchingProgress(null);
+
     try {
-      setProcessingRequest(true);
+      const analysis = await matchingClient.analyze(specification, {
+        onProgress: setMatchingProgress,
+        reserved: getReservedQuantities(getStoredReservations(), { projectId })
+      });
+      setProcessingRequest(false);
+      return analysis;
+    } catch (err) {
+      // A newer run or an explicit cancel already updated the state
+      if (isCancelledError(err)) return null;
+
+      setProcessingRequest(false);
+      throw err;
+    }
+  };
 
-      // Find matching products
-      const matches = findMatchingProducts(products, specification);
+  // Handle cancel of a running analysis (also called when the form is edited)
+  const handleCancelAnalysis = () => {
+    matchingClient.cancel();
+    setProcessingRequest(false);
+    setMatchingProgress(null);
 
-      // Analyze project
-      const analysis = analyzeProject(matches, specification);
+    // A saved project was being opened; go back to the list
+    if (currentView === 'dashboard' && !projectAnalysis) {
+      setCurrentView('projectList');
+      setCurrentProject(null);
+    }
+  };
+
+  // Handle an accepted catalog import
+  const handleCatalogAccepted = (acceptedProducts, report, source) => {
+    getCatalogIndex(acceptedProducts);
+    setProducts(acceptedProducts);
+    setCatalogReport(report);
+    setCatalogSource(source);
+  };
+
+  // Handle open catalog import
+  const handleManageCatalog = () => {
+    setCurrentView('catalogImport');
+  };
+
+  // Handle open catalog browser
+  const handleBrowseCatalog = () => {
+    setCurrentView('catalogBrowser');
+  };
+
+  // Handle form submission
+  const handleProjectSubmit = async (specification) => {
+    try {
+      // Find matching products and analyze project
+      const analysis = await runAnalysis(specification, currentProject?.id);
+      if (!analysis) return;
 
       setProjectAnalysis(analysis);
       setCurrentView('dashboard'); // Changed to go directly to dashboard
     } catch (err) {
       console.error('Error processing project:', err);
       setError('Error processing your request. Please try again.');
-    } finally {
-      setProcessingRequest(false);
     }
   };
 
@@ -74,6 +173,17 @@ function AppContent() {
     setCurrentView('form');
   };
 
+  // Handle view all matches (score breakdowns, every sort) from the dashboard
+  const handleViewMatches = (sortBy = 'score') => {
+    setResultsSortBy(sortBy);
+    setCurrentView('results');
+  };
+
+  // Handle back to dashboard
+  const handleBackToDashboard = () => {
+    setCurrentView('dashboard');
+  };
+
   // Handle back to project list
   const handleBackToProjectList = () => {
     setCurrentView('projectList');
@@ -89,15 +199,21 @@ function AppContent() {
   };
 
   // Handle load project
-  const handleLoadProject = (project) => {
+  const handleLoadProject = async (project) => {
     setCurrentProject(project);
+    setProjectAnalysis(null);
+    setCurrentView('dashboard');
 
-    // Reconstruct analysis from saved project
-    const matches = findMatchingProducts(products, project.specification);
-    const analysis = analyzeProject(matches, project.specification);
+    try {
+      // Reconstruct analysis from saved project
+      const analysis = await runAnalysis(project.specification, project.id);
+      if (!analysis) return;
 
-    setProjectAnalysis(analysis);
-    setCurrentView('dashboard');
+      setProjectAnalysis(analysis);
+    } catch (err) {
+      console.error('Error loading project:', err);
+      setError('Error loading your project. Please try again.');
+    }
   };
 
   // Handle save project
@@ -131,7 +247,10 @@ function AppContent() {
         <main className="app-main">
           <div className="loading-container">
             <div className="spinner"></div>
-            <p>Loading product catalog...</p>
+            <p>
+              Loading product catalog...
+              {loadedCount > 0 && ` (${loadedCount.toLocaleString()} products)`}
+            </p>
           </div>
         </main>
       </div>
@@ -150,6 +269,7 @@ function AppContent() {
             <div className="error-icon">⚠️</div>
             <h2>Error</h2>
             <p>{error}</p>
+            <CatalogHealthReport report={catalogReport} />
             <button
               onClick={() => window.location.reload()}
               className="btn-primary"
@@ -164,7 +284,17 @@ function AppContent() {
 
   // Project List View
   if (currentView === 'projectList') {
-    return <ProjectList onLoadProject={handleLoadProject} onNewProject={handleNewProject} />;
+    return (
+      <>
+        <CatalogHealthReport report={catalogReport} />
+        <ProjectList
+          onLoadProject={handleLoadProject}
+          onNewProject={handleNewProject}
+          onManageCatalog={isAdmin ? handleManageCatalog : null}
+          onBrowseCatalog={handleBrowseCatalog}
+        />
+      </>
+    );
   }
 
   return (
@@ -178,9 +308,18 @@ function AppContent() {
             </p>
           </div>
           <div className="header-actions">
+            <GlobalSearch products={products} />
             <button onClick={handleBackToProjectList} className="btn-header">
               My Projects
             </button>
+            <button onClick={handleBrowseCatalog} className="btn-header">
+              Browse
+            </button>
+            {isAdmin && (
+              <button onClick={handleManageCatalog} className="btn-header">
+                Catalog
+              </button>
+            )}
             <div className="header-stats">
               <span>{products.length} products available</span>
             </div>
@@ -189,33 +328,75 @@ function AppContent() {
       </header>
 
       <main className="app-main">
+        <CatalogHealthReport report={catalogReport} />
+
         {processingRequest && (
           <div className="processing-overlay">
             <div className="processing-modal">
               <div className="spinner"></div>
               <p>Analyzing your project and finding matching products...</p>
+              {matchingProgress && (
+                <div className="processing-progress">
+                  <div className="progress-bar">
+                    <div
+                      className="progress-fill"
+                      style={{ width: `${describeProgress(matchingProgress).percent}%` }}
+                    ></div>
+                  </div>
+                  <span className="progress-text">{describeProgress(matchingProgress).label}</span>
+                </div>
+              )}
+              <button onClick={handleCancelAnalysis} className="btn-secondary">
+                Cancel
+              </button>
             </div>
           </div>
         )}
 
         {currentView === 'form' && (
-          <ProjectForm onSubmit={handleProjectSubmit} />
+          <ProjectForm
+            onSubmit={handleProjectSubmit}
+            onEdit={handleCancelAnalysis}
+            manufacturers={getManufacturers(getCatalogIndex(products))}
+          />
+        )}
+
+        {currentView === 'catalogImport' && isAdmin && (
+          <CatalogImport
+            currentProducts={products}
+            catalogSource={catalogSource}
+            onAccept={handleCatalogAccepted}
+            onRevert={loadData}
+            onBack={handleBackToProjectList}
+          />
+        )}
+
+        {currentView === 'catalogBrowser' && (
+          <CatalogBrowser
+            products={products}
+            onBack={handleBackToProjectList}
+          />
         )}
 
         {currentView === 'results' && projectAnalysis && (
           <ResultsDisplay
             analysis={projectAnalysis}
-            onBack={handleBackToForm}
+            initialSortBy={resultsSortBy}
+            onBack={handleBackToDashboard}
           />
         )}
 
-        {currentView === 'dashboard' && projectAnalysis && (
-          <ProjectDashboard
-            analysis={projectAnalysis}
-            currentProject={currentProject}
-            onBack={handleBackToForm}
-            onSave={handleSaveProject}
-          />
+        {/* Stays mounted behind the results view so unsaved quantities survive */}
+        {(currentView === 'dashboard' || currentView === 'results') && projectAnalysis && (
+          <div hidden={currentView !== 'dashboard'}>
+            <ProjectDashboard
+              analysis={projectAnalysis}
+              currentProject={currentProject}
+              onBack={handleBackToForm}
+              onSave={handleSaveProject}
+              onViewMatches={handleViewMatches}
+            />
+          </div>
         )}
       </main>
 
@@ -231,6 +412,22 @@ function AppContent() {
   );
 }
 
+/**
+ * Auth Gate
+ * Shows the auth screen until a user logs in; the workspace (and its
+ * catalog load) starts fresh for each login
+ */
+function AppContent() {
+  const { currentUser } = useAuth();
+
+  // Show auth screen if not logged in
+  if (!currentUser) {
+    return <Auth />;
+  }
+
+  return <Workspace />;
+}
+
 /**
  * App Wrapper with Auth Provider
  */
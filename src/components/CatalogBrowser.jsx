@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { US_STATES, PROJECT_TYPES } from '../types/index.js';
+import {
+  FACETS,
+  filterProducts,
+  getFacetCounts,
+  getCatalogRanges,
+  serializeFilterCriteria,
+  parseFilterCriteria
+} from '../services/catalogBrowser.js';
+import { getCatalogIndex, getProductWarehouses } from '../services/catalogIndex.js';
+import { getReservedQuantities, applyReservations } from '../services/inventoryReservations.js';
+import { getStoredReservations } from '../utils/reservationStorage.js';
+import ProductDetailsModal from './ProductDetailsModal.jsx';
+
+// Products shown per page of results
+const PAGE_SIZE = 50;
+
+// Facet values shown before "Show all"
+const COLLAPSED_FACET_SIZE = 8;
+
+/**
+ * Sort browser results
+ * @param {Array} products - Products to sort
+ * @param {string} sortBy - Sort key
+ * @returns {Array} Sorted products
+ */
+const sortResults = (products, sortBy) => {
+  switch (sortBy) {
+    case 'price-low':
+      return [...products].sort((a, b) => a.price - b.price);
+    case 'price-high':
+      return [...products].sort((a, b) => b.price - a.price);
+    case 'lead-time':
+      return [...products].sort((a, b) => a.leadTimeDays - b.leadTimeDays);
+    case 'name':
+      return [...products].sort((a, b) => a.productName.localeCompare(b.productName));
+    default:
+      return products;
+  }
+};
+
+/**
+ * Catalog Browser Component
+ * Faceted browsing of the whole catalog; filters are kept in the URL so a
+ * filtered view can be bookmarked or shared
+ */
+const CatalogBrowser = ({ products, onBack }) => {
+  const [criteria, setCriteria] = useState(() => parseFilterCriteria(window.location.search));
+  const [sortBy, setSortBy] = useState('catalog');
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [expandedFacets, setExpandedFacets] = useState([]);
+  const [selectedProduct, setSelectedProduct] = useState(null);
+  // Read once; reservations only change from a project dashboard
+  const [reserved] = useState(() => getReservedQuantities(getStoredReservations()));
+
+  // Keep the URL in sync with the filters
+  useEffect(() => {
+    const query = serializeFilterCriteria(criteria);
+    window.history.replaceState(null, '', `?view=browse${query ? `&${query}` : ''}`);
+  }, [criteria]);
+
+  // Drop the filters from the URL when leaving the browser
+  useEffect(() => () => {
+    window.history.replaceState(null, '', window.location.pathname);
+  }, []);
+
+  const updateCriteria = (changes) => {
+    setCriteria(prev => ({ ...prev, ...changes }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const toggleFacetValue = (facetId, value) => {
+    const selected = criteria[facetId] || [];
+    updateCriteria({
+      [facetId]: selected.includes(value)
+        ? selected.filter(v => v !== value)
+        : [...selected, value]
+    });
+  };
+
+  const toggleFacetExpanded = (facetId) => {
+    setExpandedFacets(prev => (
+      prev.includes(facetId) ? prev.filter(id => id !== facetId) : [...prev, facetId]
+    ));
+  };
+
+  // Filtering and facet counts scan the whole catalog; redo them only when
+  // the catalog or the filters change
+  // Stock filters and counts go by available to promise
+  const available = useMemo(
+    () => products.map(product => applyReservations(product, reserved)),
+    [products, reserved]
+  );
+  const ranges = useMemo(() => getCatalogRanges(products), [products]);
+  const matching = useMemo(() => filterProducts(available, criteria), [available, criteria]);
+  const facetCounts = useMemo(() => getFacetCounts(available, criteria), [available, criteria]);
+  const results = useMemo(() => sortResults(matching, sortBy), [matching, sortBy]);
+
+  const minPrice = criteria.minPrice || ranges.price.min;
+  const maxPrice = criteria.maxPrice || ranges.price.max;
+  const maxLeadTime = criteria.maxLeadTime || ranges.leadTime.max;
+
+  return (
+    <div className="catalog-browser">
+      <div className="section-header">
+        <h2>Browse Catalog</h2>
+        <button onClick={onBack} className="btn-secondary">
+          Back to Projects
+        </button>
+      </div>
+
+      <div className="browser-layout">
+        {/* Filters */}
+        <aside className="browser-filters">
+          <div className="browser-filters-header">
+            <h3>Filters</h3>
+            <button
+              className="btn-secondary-small"
+              onClick={() => updateCriteria(parseFilterCriteria(''))}
+            >
+              Clear All
+            </button>
+          </div>
+
+          <div className="browser-filter-group">
+            <label htmlFor="browser-location">Available in</label>
+            <select
+              id="browser-location"
+              value={criteria.location}
+              onChange={(e) => updateCriteria({ location: e.target.value })}
+            >
+              <option value="">Any state</option>
+              {US_STATES.map(state => (
+                <option key={state.code} value={state.code}>{state.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="browser-filter-group">
+            <label htmlFor="browser-project-type">Project Type</label>
+            <select
+              id="browser-project-type"
+              value={criteria.projectType}
+              onChange={(e) => updateCriteria({ projectType: e.target.value })}
+            >
+              <option value="">Any project type</option>
+              {PROJECT_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="browser-filter-group">
+            <label>
+              Price: ${minPrice} – ${maxPrice}
+            </label>
+            <input
+              type="range"
+              min={ranges.price.min}
+              max={ranges.price.max}
+              value={minPrice}
+              onChange={(e) => {
+                const value = Math.min(Number(e.target.value), maxPrice);
+                updateCriteria({ minPrice: value > ranges.price.min ? value : null });
+              }}
+              aria-label="Minimum price"
+            />
+            <input
+              type="range"
+              min={ranges.price.min}
+              max={ranges.price.max}
+              value={maxPrice}
+              onChange={(e) => {
+                const value = Math.max(Number(e.target.value), minPrice);
+                updateCriteria({ maxPrice: value < ranges.price.max ? value : null });
+              }}
+              aria-label="Maximum price"
+            />
+          </div>
+
+          <div className="browser-filter-group">
+            <label>Lead Time: up to {maxLeadTime} days</label>
+            <input
+              type="range"
+              min={ranges.leadTime.min}
+              max={ranges.leadTime.max}
+              value={maxLeadTime}
+              onChange={(e) => {
+                const value = Number(e.target.value);
+                updateCriteria({ maxLeadTime: value < ranges.leadTime.max ? value : null });
+              }}
+              aria-label="Maximum lead time"
+            />
+          </div>
+
+          <div className="browser-filter-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={criteria.inStockOnly}
+                onChange={(e) => updateCriteria({ inStockOnly: e.target.checked })}
+              />
+              In stock only
+            </label>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={criteria.ecoFriendlyOnly}
+                onChange={(e) => updateCriteria({ ecoFriendlyOnly: e.target.checked })}
+              />
+              Eco-friendly only
+            </label>
+          </div>
+
+          {FACETS.map(facet => {
+            const values = facetCounts[facet.id];
+            const expanded = expandedFacets.includes(facet.id);
+            const shown = expanded ? values : values.slice(0, COLLAPSED_FACET_SIZE);
+
+            return (
+              <div key={facet.id} className="browser-filter-group">
+                <h4>{facet.label}{facet.matchAll && ' (all of)'}</h4>
+                {shown.map(({ value, count, selected }) => (
+                  <label
+                    key={value}
+                    className={`checkbox-label facet-value ${count === 0 && !selected ? 'empty' : ''}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected}
+                      onChange={() => toggleFacetValue(facet.id, value)}
+                    />
+                    {value}
+                    <span className="facet-count">{count}</span>
+                  </label>
+                ))}
+                {values.length > COLLAPSED_FACET_SIZE && (
+                  <button className="btn-link" onClick={() => toggleFacetExpanded(facet.id)}>
+                    {expanded ? 'Show fewer' : `Show all ${values.length}`}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </aside>
+
+        {/* Results */}
+        <section className="browser-results">
+          <div className="browser-results-header">
+            <span>{results.length.toLocaleString()} of {products.length.toLocaleString()} products</span>
+            <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+              <option value="catalog">Catalog order</option>
+              <option value="name">Name</option>
+              <option value="price-low">Price: Low to High</option>
+              <option value="price-high">Price: High to Low</option>
+              <option value="lead-time">Lead Time</option>
+            </select>
+          </div>
+
+          {results.length === 0 ? (
+            <div className="empty-state">
+              <p>No products match these filters</p>
+            </div>
+          ) : (
+            <div className="products-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Category</th>
+                    <th>Price/Unit</th>
+                    <th title="Stock not reserved by saved projects">Available to Promise</th>
+                    <th>Lead Time</th>
+                    <th>Warehouse</th>
+                    <th>Fire Rating</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.slice(0, visibleCount).map(product => {
+                    const reservedQty = product.reservedQty || 0;
+
+                    // The modal gets the catalog product and takes out reservations itself
+                    return (
+                      <tr
+                        key={product.productId}
+                        className="browser-row"
+                        onClick={() => setSelectedProduct(getCatalogIndex(products).byId.get(product.productId))}
+                      >
+                        <td>
+                          <div className="product-name">
+                            {product.productName}
+                            <span className="manufacturer">{product.manufacturer} • {product.productId}</span>
+                          </div>
+                        </td>
+                        <td>{product.category}</td>
+                        <td>${product.price.toFixed(2)}/{product.unit}</td>
+                        <td className={product.stockQty > 0 ? 'in-stock' : 'out-stock'}>
+                          {product.stockQty > 0 ? product.stockQty : 'Out of stock'}
+                          {reservedQty > 0 && (
+                            <span className="reserved-qty">{reservedQty} reserved</span>
+                          )}
+                        </td>
+                        <td>{product.leadTimeDays} days</td>
+                        <td>{getProductWarehouses(product).map(w => w.location).join(', ')}</td>
+                        <td>{product.fireRating || '—'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {results.length > visibleCount && (
+            <button
+              className="btn-secondary browser-show-more"
+              onClick={() => setVisibleCount(prev => prev + PAGE_SIZE)}
+            >
+              Show {Math.min(PAGE_SIZE, results.length - visibleCount)} More
+            </button>
+          )}
+        </section>
+      </div>
+
+      {selectedProduct && (
+        <ProductDetailsModal
+          product={selectedProduct}
+          onClose={() => setSelectedProduct(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CatalogBrowser;
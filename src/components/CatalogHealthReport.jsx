@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+
+// Maximum number of issues rendered in the table
+const MAX_VISIBLE_ISSUES = 200;
+
+/**
+ * Catalog Health Report Component
+ * Summarizes catalog validation results and lists row-level errors and warnings
+ */
+const CatalogHealthReport = ({ report }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [severityFilter, setSeverityFilter] = useState('all');
+
+  if (!report || report.issues.length === 0) {
+    return null;
+  }
+
+  const { summary } = report;
+  const visibleIssues = report.issues
+    .filter(issue => severityFilter === 'all' || issue.severity === severityFilter)
+    .slice(0, MAX_VISIBLE_ISSUES);
+
+  return (
+    <div className={`catalog-health ${summary.errorCount > 0 ? 'has-errors' : 'has-warnings'}`}>
+      <div className="catalog-health-summary">
+        <span>
+          <strong>Catalog health:</strong>{' '}
+          {summary.validRows.toLocaleString()} of {summary.totalRows.toLocaleString()} rows loaded
+          {summary.rejectedRows > 0 && `, ${summary.rejectedRows} rejected`}
+          {' '}({summary.errorCount} errors, {summary.warningCount} warnings)
+        </span>
+        <button className="btn-secondary-small" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Hide Report' : 'View Report'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="catalog-health-details">
+          <div className="control-group">
+            <label htmlFor="severity-filter">Show:</label>
+            <select
+              id="severity-filter"
+              value={severityFilter}
+              onChange={(e) => setSeverityFilter(e.target.value)}
+            >
+              <option value="all">All issues</option>
+              <option value="error">Errors (row rejected)</option>
+              <option value="warning">Warnings (row loaded)</option>
+            </select>
+          </div>
+
+          <table className="catalog-health-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Product</th>
+                <th>Column</th>
+                <th>Value</th>
+                <th>Issue</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleIssues.map((issue, idx) => (
+                <tr key={idx} className={`issue-${issue.severity}`}>
+                  <td>{issue.line}</td>
+                  <td>{issue.productId}</td>
+                  <td>{issue.column}</td>
+                  <td>{issue.value}</td>
+                  <td>{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {report.issues.length > MAX_VISIBLE_ISSUES && (
+            <p className="catalog-health-more">
+              Showing the first {MAX_VISIBLE_ISSUES} issues.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CatalogHealthReport;
@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import CatalogHealthReport from './CatalogHealthReport.jsx';
+import { parseCatalog } from '../utils/csvParser.js';
+import { saveStoredCatalog, clearStoredCatalog } from '../utils/catalogStorage.js';
+import { diffCatalogs } from '../services/catalogDiff.js';
+
+// Maximum number of rows rendered per diff section
+const MAX_DIFF_ROWS = 100;
+
+const DIFF_SECTIONS = [
+  { key: 'added', label: 'Added' },
+  { key: 'removed', label: 'Removed' },
+  { key: 'priceChanges', label: 'Price Changes' },
+  { key: 'stockChanges', label: 'Stock Changes' },
+  { key: 'newlyRestricted', label: 'Newly Restricted' }
+];
+
+/**
+ * Catalog Import Component
+ * Uploads a replacement catalog CSV, shows what would change against the
+ * loaded catalog, and lets an admin accept or reject it
+ */
+const CatalogImport = ({ currentProducts, catalogSource, onAccept, onRevert, onBack }) => {
+  const { currentUser, isAdmin } = useAuth();
+  const [pendingImport, setPendingImport] = useState(null);
+  const [activeSection, setActiveSection] = useState('added');
+  const [message, setMessage] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setMessage('');
+    try {
+      const csvText = await file.text();
+      const { products, report } = parseCatalog(csvText);
+      const diff = diffCatalogs(currentProducts, products);
+
+      setPendingImport({ fileName: file.name, csvText, products, report, diff });
+      setActiveSection(DIFF_SECTIONS.find(section => diff[section.key].length > 0)?.key || 'added');
+    } catch (err) {
+      console.error('Failed to read catalog file:', err);
+      setMessage('Could not read the selected file.');
+    }
+
+    // Allow re-selecting the same file
+    e.target.value = '';
+  };
+
+  const handleAccept = () => {
+    try {
+      const stored = saveStoredCatalog(pendingImport.csvText, {
+        fileName: pendingImport.fileName,
+        acceptedBy: currentUser?.username,
+        productCount: pendingImport.products.length
+      });
+
+      onAccept(pendingImport.products, pendingImport.report, {
+        type: 'imported',
+        fileName: stored.fileName,
+        acceptedAt: stored.acceptedAt,
+        acceptedBy: stored.acceptedBy
+      });
+      setPendingImport(null);
+      setMessage(`Catalog accepted: ${stored.productCount.toLocaleString()} products are now active.`);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const handleReject = () => {
+    setPendingImport(null);
+    setMessage('Import discarded. The current catalog is unchanged.');
+  };
+
+  const handleRevert = async () => {
+    clearStoredCatalog();
+    setPendingImport(null);
+    await onRevert();
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const renderSectionRows = (key, items) => items.slice(0, MAX_DIFF_ROWS).map(item => {
+    switch (key) {
+      case 'priceChanges':
+        return (
+          <tr key={item.productId}>
+            <td>{item.productId}</td>
+            <td>{item.productName}</td>
+            <td>${item.oldPrice.toFixed(2)} → ${item.newPrice.toFixed(2)}</td>
+            <td className={item.change > 0 ? 'diff-bad' : 'diff-good'}>
+              {item.change > 0 ? '+' : ''}{item.change.toFixed(2)}
+              {item.changePercent !== null && ` (${item.changePercent > 0 ? '+' : ''}${item.changePercent.toFixed(1)}%)`}
+            </td>
+          </tr>
+        );
+      case 'stockChanges':
+        return (
+          <tr key={item.productId}>
+            <td>{item.productId}</td>
+            <td>{item.productName}</td>
+            <td>{item.oldStock} → {item.newStock}</td>
+            <td className={item.change > 0 ? 'diff-good' : 'diff-bad'}>
+              {item.change > 0 ? '+' : ''}{item.change}
+            </td>
+          </tr>
+        );
+      case 'newlyRestricted':
+        return (
+          <tr key={item.productId}>
+            <td>{item.productId}</td>
+            <td>{item.productName}</td>
+            <td colSpan="2">{item.states.join(', ')}</td>
+          </tr>
+        );
+      default:
+        return (
+          <tr key={item.productId}>
+            <td>{item.productId}</td>
+            <td>{item.productName}</td>
+            <td>{item.category}</td>
+            <td>${item.price.toFixed(2)}</td>
+          </tr>
+        );
+    }
+  });
+
+  const sectionColumns = {
+    added: ['Category', 'Price'],
+    removed: ['Category', 'Price'],
+    priceChanges: ['Price', 'Change'],
+    stockChanges: ['Stock', 'Change'],
+    newlyRestricted: ['New Restricted States']
+  };
+
+  const diff = pendingImport?.diff;
+  const activeItems = diff ? diff[activeSection] : [];
+
+  // The catalog is shared by every user's matching, so only admins replace it
+  if (!isAdmin) {
+    return (
+      <div className="dashboard-empty">
+        <p>Only an admin can manage the catalog.</p>
+        <button onClick={onBack} className="btn-secondary">
+          Back to Projects
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="dashboard-container catalog-import">
+      <header className="dashboard-header">
+        <div className="dashboard-title">
+          <h1>Catalog Import</h1>
+          <p className="project-type">
+            {catalogSource?.type === 'imported'
+              ? `Active: ${catalogSource.fileName || 'imported catalog'} (accepted ${formatDate(catalogSource.acceptedAt)}${catalogSource.acceptedBy ? ` by ${catalogSource.acceptedBy}` : ''})`
+              : 'Active: bundled catalog'}
+            {' '}&middot; {currentProducts.length.toLocaleString()} products
+          </p>
+        </div>
+        <div className="dashboard-actions">
+          {catalogSource?.type === 'imported' && (
+            <button onClick={handleRevert} className="btn-secondary">
+              Revert to Bundled Catalog
+            </button>
+          )}
+          <button onClick={onBack} className="btn-secondary">
+            ← Back
+          </button>
+        </div>
+      </header>
+
+      <section className="form-section">
+        <h2>Upload Catalog CSV</h2>
+        <p className="section-description">
+          The file must use the same columns as products.csv. Changes are shown for review and
+          only take effect once accepted.
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+        {message && <p className="catalog-import-message">{message}</p>}
+      </section>
+
+      {pendingImport && (
+        <section className="form-section">
+          <div className="section-header">
+            <h2>Review {pendingImport.fileName}</h2>
+            <div className="dashboard-actions">
+              <button
+                onClick={handleAccept}
+                className="btn-primary"
+                disabled={pendingImport.products.length === 0}
+              >
+                Accept Catalog
+              </button>
+              <button onClick={handleReject} className="btn-secondary">
+                Reject
+              </button>
+            </div>
+          </div>
+
+          <CatalogHealthReport report={pendingImport.report} />
+
+          <div className="summary-stats">
+            {DIFF_SECTIONS.map(section => (
+              <button
+                key={section.key}
+                className={`stat-card diff-tab ${activeSection === section.key ? 'active' : ''}`}
+                onClick={() => setActiveSection(section.key)}
+              >
+                <span className="stat-label">{section.label}</span>
+                <span className="stat-value">{diff.summary[section.key]}</span>
+              </button>
+            ))}
+            <div className="stat-card">
+              <span className="stat-label">Unchanged</span>
+              <span className="stat-value">{diff.summary.unchanged}</span>
+            </div>
+          </div>
+
+          {!diff.summary.hasChanges ? (
+            <p className="empty-state-small">The uploaded catalog matches the current catalog.</p>
+          ) : activeItems.length === 0 ? (
+            <p className="empty-state-small">No products in this section.</p>
+          ) : (
+            <div className="products-table">
+              <table className="catalog-health-table">
+                <thead>
+                  <tr>
+                    <th>Product ID</th>
+                    <th>Name</th>
+                    {sectionColumns[activeSection].map(column => (
+                      <th key={column} colSpan={sectionColumns[activeSection].length === 1 ? 2 : 1}>
+                        {column}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {renderSectionRows(activeSection, activeItems)}
+                </tbody>
+              </table>
+              {activeItems.length > MAX_DIFF_ROWS && (
+                <p className="catalog-health-more">
+                  Showing the first {MAX_DIFF_ROWS} of {activeItems.length.toLocaleString()} products.
+                </p>
+              )}
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default CatalogImport;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { getSearchIndex, searchProducts } from '../services/searchIndex.js';
+import ProductDetailsModal from './ProductDetailsModal.jsx';
+
+// Results shown in the dropdown
+const MAX_RESULTS = 8;
+
+/**
+ * Highlighted text from searchProducts segments
+ */
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, idx) => (
+      segment.highlight
+        ? <mark key={idx}>{segment.text}</mark>
+        : <React.Fragment key={idx}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+/**
+ * Global Search Component
+ * Catalog-wide product search box for the app header
+ */
+const GlobalSearch = ({ products }) => {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [selectedProduct, setSelectedProduct] = useState(null);
+
+  // The index is built on the first search, then cached per catalog
+  const results = query.trim()
+    ? searchProducts(getSearchIndex(products), query, { limit: MAX_RESULTS })
+    : [];
+
+  const handleSelect = (product) => {
+    setSelectedProduct(product);
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.min(prev + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      handleSelect(results[activeIndex].product);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="global-search">
+      <input
+        type="search"
+        className="global-search-input"
+        placeholder="Search products, manufacturers, IDs..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        aria-label="Search products"
+      />
+
+      {open && query.trim() && (
+        <ul className="global-search-results">
+          {results.length === 0 ? (
+            <li className="global-search-empty">No products match "{query}"</li>
+          ) : (
+            results.map((result, idx) => (
+              <li
+                key={result.product.productId}
+                className={`global-search-result ${idx === activeIndex ? 'active' : ''}`}
+                // Select before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  handleSelect(result.product);
+                }}
+                onMouseEnter={() => setActiveIndex(idx)}
+              >
+                <div className="global-search-title">
+                  <strong><Highlighted segments={result.highlights.productName} /></strong>
+                  <span className="global-search-id">
+                    <Highlighted segments={result.highlights.productId} />
+                  </span>
+                </div>
+                <div className="global-search-meta">
+                  <Highlighted segments={result.highlights.manufacturer} />
+                  {' • '}{result.product.category} • ${result.product.price.toFixed(2)}/{result.product.unit}
+                </div>
+                {/* Certifications only when the query matched one */}
+                {result.highlights.certifications.some(segment => segment.highlight) && (
+                  <div className="global-search-certs">
+                    Certifications: <Highlighted segments={result.highlights.certifications} />
+                  </div>
+                )}
+                <div className="global-search-snippet">
+                  <Highlighted segments={result.snippet} />
+                </div>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+
+      {selectedProduct && (
+        <ProductDetailsModal
+          product={selectedProduct}
+          onClose={() => setSelectedProduct(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { getProductWarehouses } from '../services/catalogIndex.js';
+import { getReservedQuantities, applyReservations } from '../services/inventoryReservations.js';
+import { getStoredReservations } from '../utils/reservationStorage.js';
+
+/**
+ * Product Details Modal Component
+ * Catalog details for a product picked from search or the catalog browser
+ */
+const ProductDetailsModal = ({ product, onClose }) => {
+  // Stock net of reservations, per warehouse too
+  const available = applyReservations(product, getReservedQuantities(getStoredReservations()));
+  const reservedQty = available.reservedQty || 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{product.productName}</h2>
+          <button className="btn-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-product-meta">
+            {product.manufacturer} • {product.category} • {product.productId}
+          </p>
+
+          <div className="details-grid">
+            <div className="detail-item">
+              <span className="detail-label">Price:</span>
+              <span className="detail-value">${product.price.toFixed(2)} / {product.unit}</span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-label">Stock:</span>
+              <span className="detail-value">
+                {available.stockQty > 0 ? `${available.stockQty} available to promise` : 'Out of stock'}
+                {reservedQty > 0 && ` (${reservedQty} of ${product.stockQty} reserved)`}
+              </span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-label">Lead Time:</span>
+              <span className="detail-value">{product.leadTimeDays} days</span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-label">Warehouse:</span>
+              <span className="detail-value">
+                {getProductWarehouses(available)
+                  .map(w => `${w.location} (${w.stockQty} available, ${w.leadTimeDays}d)`)
+                  .join(', ')}
+              </span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-label">Min Order:</span>
+              <span className="detail-value">{product.minOrderQty} {product.unit}</span>
+            </div>
+            <div className="detail-item">
+              <span className="detail-label">Warranty:</span>
+              <span className="detail-value">
+                {product.warrantyYears > 0 ? `${product.warrantyYears} years` : 'N/A'}
+              </span>
+            </div>
+            {product.fireRating && (
+              <div className="detail-item">
+                <span className="detail-label">Fire Rating:</span>
+                <span className="detail-value">{product.fireRating}</span>
+              </div>
+            )}
+            {product.restrictedStates && (
+              <div className="detail-item">
+                <span className="detail-label">Restricted In:</span>
+                <span className="detail-value">{product.restrictedStates.split(';').join(', ')}</span>
+              </div>
+            )}
+          </div>
+
+          {product.certifications && (
+            <div className="certifications">
+              <strong>Certifications:</strong>
+              <div className="cert-tags">
+                {product.certifications.split(';').filter(c => c.trim()).map((cert, idx) => (
+                  <span key={idx} className="cert-tag">{cert.trim()}</span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {product.description && (
+            <div className="product-description">
+              <strong>Description:</strong>
+              <p>{product.description}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductDetailsModal;
@@ -1,14 +1,31 @@
 import React, { useState } from 'react';
+import { buildQuoteLineItems, generateQuote } from '../services/quoteEngine.js';
+import { indexMatchesById } from '../services/catalogIndex.js';
+import { calculateOrderQuantity, checkStockAvailability } from '../services/productMatcher.js';
+import { checkReservations } from '../services/inventoryReservations.js';
+import { getStoredReservations } from '../utils/reservationStorage.js';
+import {
+  findSubstitutes,
+  getSubstituteIssues,
+  SUBSTITUTE_ISSUE_LABELS
+} from '../services/substituteFinder.js';
+import {
+  buildProposal,
+  renderProposalHTML,
+  exportProposalJSON
+} from '../services/proposalGenerator.js';
+import SubstituteList from './SubstituteList.jsx';
 
 /**
  * Project Dashboard Component
  * Displays project overview with circular progress charts for product categories
  * Allows adding products and managing order quantities
  */
-const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
+const ProjectDashboard = ({ analysis, currentProject, onBack, onSave, onViewMatches }) => {
   // State for managing ordered products
   const [orderedProducts, setOrderedProducts] = useState(currentProject?.orderedProducts || {});
   const [selectedCategory, setSelectedCategory] = useState(null);
+  const [substituteFor, setSubstituteFor] = useState(null);
   const [customCategories, setCustomCategories] = useState(currentProject?.customCategories || []);
   const [saving, setSaving] = useState(false);
   const [saveMessage, setSaveMessage] = useState('');
@@ -24,6 +41,9 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
     );
   }
 
+  // Recommended products keyed by product ID
+  const matchesById = indexMatchesById(analysis.recommendedProducts);
+
   // Calculate category statistics
   const getCategoryStats = () => {
     const stats = {};
@@ -58,9 +78,7 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
 
     // Calculate totals based on ordered products
     Object.keys(orderedProducts).forEach(productId => {
-      const product = analysis.recommendedProducts.find(
-        m => m.product.productId === productId
-      );
+      const product = matchesById.get(productId);
       if (product) {
         const category = product.product.category;
         if (stats[category]) {
@@ -95,6 +113,24 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
     }));
   };
 
+  // Round an ordered quantity up to a multiple of the minimum order quantity
+  const handleRoundOrderQuantity = (productId) => {
+    const match = matchesById.get(productId);
+    if (!match) return;
+    setOrderedProducts(prev => ({
+      ...prev,
+      [productId]: {
+        ...prev[productId],
+        quantityOrdered: calculateOrderQuantity(match.product, prev[productId].quantityOrdered || 0)
+      }
+    }));
+  };
+
+  // Stock available to promise against the quantity needed
+  const getStock = (product, quantityNeeded) => (
+    checkStockAvailability(product, quantityNeeded || 0, analysis.specification)
+  );
+
   // Remove product from order
   const handleRemoveProduct = (productId) => {
     setOrderedProducts(prev => {
@@ -104,6 +140,23 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
     });
   };
 
+  // Replace an ordered product with a substitute, keeping the quantities
+  const handleSwapProduct = (productId, substituteId) => {
+    const substitute = matchesById.get(substituteId);
+
+    setOrderedProducts(prev => {
+      const updated = { ...prev };
+      // Keep the quantity ordered, in the substitute's order multiples
+      updated[substituteId] = {
+        quantityNeeded: prev[productId].quantityNeeded,
+        quantityOrdered: calculateOrderQuantity(substitute.product, prev[productId].quantityOrdered || 0)
+      };
+      delete updated[productId];
+      return updated;
+    });
+    setSubstituteFor(null);
+  };
+
   // Handle chart click to open category modal
   const handleChartClick = (category) => {
     setSelectedCategory(category);
@@ -128,13 +181,13 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
   const getOrderedProductsForCategory = (category) => {
     return Object.keys(orderedProducts)
       .map(productId => {
-        const match = analysis.recommendedProducts.find(
-          m => m.product.productId === productId
-        );
+        const match = matchesById.get(productId);
         if (match && match.product.category === category) {
           return {
             ...match,
-            ...orderedProducts[productId]
+            ...orderedProducts[productId],
+            lineTotal: getLineTotal(productId),
+            stock: getStock(match.product, orderedProducts[productId].quantityNeeded)
           };
         }
         return null;
@@ -158,6 +211,42 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
     }
   };
 
+  // Build a customer proposal from the project's current order
+  const getProposal = () => buildProposal(
+    {
+      id: currentProject?.id,
+      specification: analysis.specification,
+      orderedProducts
+    },
+    analysis
+  );
+
+  // Open the proposal as a printable document
+  const handlePrintProposal = () => {
+    const proposalWindow = window.open('', '_blank');
+    if (!proposalWindow) {
+      setSaveMessage('Allow pop-ups to print the proposal');
+      setTimeout(() => setSaveMessage(''), 3000);
+      return;
+    }
+    proposalWindow.document.write(renderProposalHTML(getProposal()));
+    proposalWindow.document.close();
+    proposalWindow.focus();
+    proposalWindow.print();
+  };
+
+  // Download the proposal as JSON
+  const handleExportProposal = () => {
+    const proposal = getProposal();
+    const blob = new Blob([exportProposalJSON(proposal)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${proposal.proposalNumber}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   // Category color palette
   const getCategoryColor = (category, index) => {
     const colors = [
@@ -176,33 +265,49 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
   };
 
   const categoryStats = getCategoryStats();
-  const orderedProductsList = Object.keys(orderedProducts).map(productId => {
-    const match = analysis.recommendedProducts.find(
-      m => m.product.productId === productId
-    );
-    return {
-      ...match,
-      ...orderedProducts[productId]
-    };
+  // Ordered products that are no longer recommended (catalog re-imported,
+  // manufacturer excluded, filtered out) are left out of the order
+  const unmatchedProductIds = Object.keys(orderedProducts).filter(productId => !matchesById.has(productId));
+  const orderedProductsList = Object.keys(orderedProducts)
+    .filter(productId => matchesById.has(productId))
+    .map(productId => {
+      const match = matchesById.get(productId);
+      return {
+        ...match,
+        ...orderedProducts[productId],
+        stock: getStock(match.product, orderedProducts[productId].quantityNeeded)
+      };
+    });
+
+  // Itemized quote for the ordered quantities (discounts, shipping, tax)
+  const quote = generateQuote(
+    buildQuoteLineItems(orderedProducts, analysis.recommendedProducts),
+    analysis.specification
+  );
+  const quoteLines = {};
+  quote.lines.forEach(line => {
+    quoteLines[line.productId] = line;
   });
 
+  // Discounted line total for a product (0 when nothing is ordered)
+  const getLineTotal = (productId) => (
+    quoteLines[productId] ? quoteLines[productId].lineTotal : 0
+  );
+
   // Calculate overall progress and budget usage by category
   const totalNeeded = orderedProductsList.reduce((sum, p) => sum + (p.quantityNeeded || 0), 0);
   const totalOrdered = orderedProductsList.reduce((sum, p) => sum + (p.quantityOrdered || 0), 0);
   const overallProgress = totalNeeded > 0 ? (totalOrdered / totalNeeded) * 100 : 0;
 
-  // Calculate cost by category
-  const totalCost = orderedProductsList.reduce(
-    (sum, item) => sum + (item.product.price * (item.quantityOrdered || 0)),
-    0
-  );
+  // Calculate cost by category (discounted line totals, before order-level charges)
+  const totalCost = quote.subtotal;
 
   const categoryBudgetData = categoryStats.map((stat, index) => {
     const categoryProducts = orderedProductsList.filter(
       item => item.product.category === stat.category
     );
     const categoryCost = categoryProducts.reduce(
-      (sum, item) => sum + (item.product.price * (item.quantityOrdered || 0)),
+      (sum, item) => sum + getLineTotal(item.product.productId),
       0
     );
     return {
@@ -214,7 +319,22 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
     };
   }).filter(data => data.cost > 0 || data.totalOrdered > 0);
 
-  const maxBudget = analysis.specification.maxBudget || totalCost;
+  const maxBudget = analysis.specification.maxBudget || quote.total;
+  const overBudget = analysis.specification.maxBudget > 0 && quote.total > analysis.specification.maxBudget;
+
+  // Ordered quantities that other projects' reservations leave short, and a
+  // lapsed hold on this project's own
+  const reservationWarnings = checkReservations(
+    currentProject?.id,
+    orderedProducts,
+    new Map([...matchesById].map(([productId, match]) => [productId, match.product])),
+    getStoredReservations()
+  );
+
+  // Ordered product being substituted, with the quantities entered here
+  const substituteMatch = substituteFor && matchesById.has(substituteFor)
+    ? { ...matchesById.get(substituteFor), ...orderedProducts[substituteFor] }
+    : null;
 
   return (
     <div className="dashboard-container">
@@ -240,12 +360,66 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
           >
             {saving ? 'Saving...' : (currentProject ? 'Save Changes' : 'Save Project')}
           </button>
+          <button onClick={() => onViewMatches()} className="btn-secondary">
+            View All Matches
+          </button>
+          <button
+            onClick={handlePrintProposal}
+            className="btn-secondary"
+            disabled={orderedProductsList.length === 0}
+          >
+            Print Proposal
+          </button>
+          <button
+            onClick={handleExportProposal}
+            className="btn-secondary"
+            disabled={orderedProductsList.length === 0}
+          >
+            Export JSON
+          </button>
           <button onClick={onBack} className="btn-secondary">
             New Project
           </button>
         </div>
       </header>
 
+      {/* Ordered Products No Longer Available */}
+      {unmatchedProductIds.length > 0 && (
+        <div className="alerts-section">
+          <div className="alert alert-warning">
+            <h4>Ordered Products Not Available</h4>
+            <p>
+              These ordered products no longer match this project (removed from the catalog or
+              filtered out) and are left out of the totals and proposal:
+            </p>
+            <ul>
+              {unmatchedProductIds.map(productId => (
+                <li key={productId}>
+                  {productId} ({orderedProducts[productId].quantityOrdered || 0} ordered){' '}
+                  <button className="btn-link" onClick={() => handleRemoveProduct(productId)}>
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {/* Reservation Warnings */}
+      {reservationWarnings.length > 0 && (
+        <div className="alerts-section">
+          <div className="alert alert-warning">
+            <h4>Stock Reservations</h4>
+            <ul>
+              {reservationWarnings.map((warning, idx) => (
+                <li key={idx}>{warning.message}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
       {/* Overall Progress Section */}
       <section className="dashboard-overview">
         <div className="overview-stats-grid">
@@ -301,9 +475,9 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
                 <span className="summary-value">{totalOrdered} / {totalNeeded}</span>
               </div>
               <div className="summary-stat">
-                <span className="summary-label">Budget</span>
+                <span className="summary-label">Quote Total</span>
                 <span className="summary-value">
-                  ${totalCost.toLocaleString()} / ${maxBudget.toLocaleString()}
+                  ${quote.total.toLocaleString()} / ${maxBudget.toLocaleString()}
                 </span>
               </div>
             </div>
@@ -366,7 +540,10 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
                   const progress = item.quantityNeeded > 0
                     ? (item.quantityOrdered / item.quantityNeeded) * 100
                     : 0;
-                  const totalCost = item.product.price * (item.quantityOrdered || 0);
+                  const quoteLine = quoteLines[item.product.productId];
+                  const totalCost = quoteLine ? quoteLine.lineTotal : 0;
+                  const lineSavings = quoteLine ? quoteLine.listTotal - quoteLine.lineTotal : 0;
+                  const issues = getSubstituteIssues(item, { overBudget });
 
                   return (
                     <tr key={item.product.productId}>
@@ -390,18 +567,22 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
                           )}
                           className="qty-input"
                         />
+                        <StockFlag stock={item.stock} />
                       </td>
                       <td>
                         <input
                           type="number"
                           min="0"
-                          max={item.quantityNeeded || 0}
+                          step={item.product.minOrderQty || 1}
+                          max={calculateOrderQuantity(item.product, item.quantityNeeded || 0)}
                           value={item.quantityOrdered || 0}
                           onChange={(e) => handleUpdateQuantity(
                             item.product.productId,
                             'quantityOrdered',
                             e.target.value
                           )}
+                          onBlur={() => handleRoundOrderQuantity(item.product.productId)}
+                          title={`Sold in multiples of ${item.product.minOrderQty} ${item.product.unit}`}
                           className="qty-input"
                         />
                       </td>
@@ -416,8 +597,22 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
                           <span className="progress-text">{progress.toFixed(0)}%</span>
                         </div>
                       </td>
-                      <td className="cost-cell">${totalCost.toFixed(2)}</td>
-                      <td>
+                      <td className="cost-cell">
+                        ${totalCost.toFixed(2)}
+                        {lineSavings > 0 && (
+                          <span className="line-savings">-${lineSavings.toFixed(2)}</span>
+                        )}
+                      </td>
+                      <td className="actions-cell">
+                        <button
+                          className={`btn-substitute ${issues.length > 0 ? 'has-issues' : ''}`}
+                          onClick={() => setSubstituteFor(item.product.productId)}
+                          title={issues.length > 0
+                            ? `Find substitutes (${issues.map(issue => SUBSTITUTE_ISSUE_LABELS[issue]).join(', ')})`
+                            : 'Find substitutes'}
+                        >
+                          ⇄
+                        </button>
                         <button
                           className="btn-remove"
                           onClick={() => handleRemoveProduct(item.product.productId)}
@@ -432,14 +627,50 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
               </tbody>
               <tfoot>
                 <tr>
-                  <td colSpan="6" className="text-right"><strong>Total Cost:</strong></td>
+                  <td colSpan="6" className="text-right">List Price:</td>
+                  <td className="cost-cell">${quote.listTotal.toFixed(2)}</td>
+                  <td></td>
+                </tr>
+                {quote.lineDiscounts > 0 && (
+                  <tr>
+                    <td colSpan="6" className="text-right">
+                      Volume &amp; {quote.customerTier} Tier Discounts:
+                    </td>
+                    <td className="cost-cell">-${quote.lineDiscounts.toFixed(2)}</td>
+                    <td></td>
+                  </tr>
+                )}
+                {quote.bulkDiscount > 0 && (
+                  <tr>
+                    <td colSpan="6" className="text-right">
+                      Bulk Order Discount ({(quote.bulkDiscountRate * 100).toFixed(0)}%):
+                    </td>
+                    <td className="cost-cell">-${quote.bulkDiscount.toFixed(2)}</td>
+                    <td></td>
+                  </tr>
+                )}
+                <tr>
+                  <td colSpan="6" className="text-right">
+                    Shipping ({quote.freight.shipments.length} shipment{quote.freight.shipments.length === 1 ? '' : 's'}, {quote.freight.billableWeight.toLocaleString()} lbs):
+                  </td>
+                  <td className="cost-cell">
+                    {quote.freeShipping ? 'Free' : `$${quote.shipping.toFixed(2)}`}
+                  </td>
+                  <td></td>
+                </tr>
+                {quote.taxRate > 0 && (
+                  <tr>
+                    <td colSpan="6" className="text-right">
+                      Tax ({(quote.taxRate * 100).toFixed(2)}%):
+                    </td>
+                    <td className="cost-cell">${quote.tax.toFixed(2)}</td>
+                    <td></td>
+                  </tr>
+                )}
+                <tr>
+                  <td colSpan="6" className="text-right"><strong>Quote Total:</strong></td>
                   <td className="cost-cell">
-                    <strong>
-                      ${orderedProductsList.reduce(
-                        (sum, item) => sum + (item.product.price * (item.quantityOrdered || 0)),
-                        0
-                      ).toFixed(2)}
-                    </strong>
+                    <strong>${quote.total.toFixed(2)}</strong>
                   </td>
                   <td></td>
                 </tr>
@@ -449,6 +680,74 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
         )}
       </section>
 
+      {/* Shipment Plan */}
+      {quote.freight.shipments.length > 0 && (
+        <section className="shipment-plan">
+          <div className="section-header">
+            <h2>Shipment Plan</h2>
+            <span className="shipment-plan-summary">
+              {quote.freight.separateShipmentCount} line shipment{quote.freight.separateShipmentCount === 1 ? '' : 's'} in {quote.freight.shipments.length}
+              {quote.freight.savings > 0 && ` · saves $${quote.freight.savings.toFixed(2)} vs. shipping each line separately ($${quote.freight.separateCost.toFixed(2)})`}
+              {quote.freeShipping && ' · shipping is free on this order'}
+            </span>
+            <button className="btn-link" onClick={() => onViewMatches('landed-cost')}>
+              Compare landed costs
+            </button>
+          </div>
+
+          <div className="products-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>From</th>
+                  <th>Products</th>
+                  <th>Delivery</th>
+                  <th>Mode</th>
+                  <th>Weight</th>
+                  <th>Freight</th>
+                </tr>
+              </thead>
+              <tbody>
+                {quote.freight.shipments.map((shipment, index) => (
+                  <tr key={`${shipment.warehouseLocation}-${index}`}>
+                    <td>
+                      {shipment.warehouseLocation}
+                      {shipment.consolidated && <span className="consolidated-badge">Consolidated</span>}
+                    </td>
+                    <td>
+                      {shipment.items.map(item => (
+                        <div key={`${item.productId}-${item.backordered}`} className="shipment-item">
+                          {item.productName} ({item.quantity}{item.backordered ? ' backordered' : ''})
+                          {item.heldDays > 0 && (
+                            <span className="shipment-held"> · waits {item.heldDays} day{item.heldDays === 1 ? '' : 's'}</span>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                    <td className={shipment.meetsTimeline ? '' : 'shipment-late'}>
+                      {new Date(shipment.estimatedDelivery).toLocaleDateString()}
+                      {shipment.requiredDate && (
+                        <span className="shipment-due">
+                          due {new Date(shipment.requiredDate).toLocaleDateString()}
+                        </span>
+                      )}
+                    </td>
+                    <td>{shipment.modeLabel}</td>
+                    <td>{shipment.billableWeight.toLocaleString()} lbs</td>
+                    <td className="cost-cell">
+                      ${shipment.cost.toFixed(2)}
+                      {shipment.savings > 0 && (
+                        <span className="line-savings">-${shipment.savings.toFixed(2)}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      )}
+
       {/* Category Modal */}
       {selectedCategory && selectedCategory !== '__new__' && (
         <CategoryModal
@@ -457,11 +756,24 @@ const ProjectDashboard = ({ analysis, currentProject, onBack, onSave }) => {
           orderedProducts={getOrderedProductsForCategory(selectedCategory)}
           onAddProduct={handleAddProduct}
           onUpdateQuantity={handleUpdateQuantity}
+          onRoundOrderQuantity={handleRoundOrderQuantity}
           onRemoveProduct={handleRemoveProduct}
           onClose={() => setSelectedCategory(null)}
         />
       )}
 
+      {/* Substitutes Modal */}
+      {substituteMatch && (
+        <SubstitutesModal
+          match={substituteMatch}
+          candidates={analysis.recommendedProducts}
+          issues={getSubstituteIssues(substituteMatch, { overBudget })}
+          orderedProducts={orderedProducts}
+          onSwap={(substituteId) => handleSwapProduct(substituteFor, substituteId)}
+          onClose={() => setSubstituteFor(null)}
+        />
+      )}
+
       {/* Add New Category Modal */}
       {selectedCategory === '__new__' && (
         <AddCategoryModal
@@ -673,6 +985,7 @@ const CategoryModal = ({
   orderedProducts,
   onAddProduct,
   onUpdateQuantity,
+  onRoundOrderQuantity,
   onRemoveProduct,
   onClose
 }) => {
@@ -681,8 +994,9 @@ const CategoryModal = ({
   const [showAvailable, setShowAvailable] = useState(false);
 
   // Filter available products not yet ordered
+  const orderedIds = new Set(orderedProducts.map(p => p.product.productId));
   const unorderedProducts = availableProducts.filter(
-    match => !orderedProducts.find(p => p.product.productId === match.product.productId)
+    match => !orderedIds.has(match.product.productId)
   );
 
   const filteredUnordered = searchTerm
@@ -723,7 +1037,7 @@ const CategoryModal = ({
                   const progress = item.quantityNeeded > 0
                     ? (item.quantityOrdered / item.quantityNeeded) * 100
                     : 0;
-                  const totalCost = item.product.price * (item.quantityOrdered || 0);
+                  const totalCost = item.lineTotal || 0;
 
                   return (
                     <div key={item.product.productId} className="modal-product-card">
@@ -762,17 +1076,21 @@ const CategoryModal = ({
                           <input
                             type="number"
                             min="0"
-                            max={item.quantityNeeded || 0}
+                            step={item.product.minOrderQty || 1}
+                            max={calculateOrderQuantity(item.product, item.quantityNeeded || 0)}
                             value={item.quantityOrdered || 0}
                             onChange={(e) => onUpdateQuantity(
                               item.product.productId,
                               'quantityOrdered',
                               e.target.value
                             )}
+                            onBlur={() => onRoundOrderQuantity(item.product.productId)}
+                            title={`Sold in multiples of ${item.product.minOrderQty} ${item.product.unit}`}
                             className="qty-input"
                           />
                         </div>
                       </div>
+                      <StockFlag stock={item.stock} />
                       <div className="modal-product-footer">
                         <div className="progress-container">
                           <div className="progress-bar">
@@ -868,6 +1186,70 @@ const CategoryModal = ({
   );
 };
 
+/**
+ * Stock Flag Component
+ * Shown when stock available to promise doesn't cover the quantity
+ * needed, with when the shortfall arrives
+ */
+const StockFlag = ({ stock }) => {
+  if (!stock || stock.shortfall === 0) return null;
+
+  return (
+    <span className={`stock-flag ${stock.status}`}>
+      {stock.status === 'partial' ? `Only ${stock.available} available` : 'Out of stock'}
+      {` · ${stock.shortfall} more by ${new Date(stock.shortfallDelivery).toLocaleDateString()}`}
+    </span>
+  );
+};
+
+/**
+ * Substitutes Modal Component
+ * Lists alternatives to an ordered product; substitutes must fix the
+ * product's issues (stock, timeline, budget) unless the rep shows all
+ */
+const SubstitutesModal = ({ match, candidates, issues, orderedProducts, onSwap, onClose }) => {
+  const [showAll, setShowAll] = useState(false);
+
+  const substitutes = findSubstitutes(match, candidates, {
+    issues: showAll ? [] : issues
+  });
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Substitutes for {match.product.productName}</h2>
+          <button className="btn-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="modal-product-meta">
+            {match.product.manufacturer} • ${match.product.price.toFixed(2)}/{match.product.unit} • {match.product.category}
+          </p>
+
+          {issues.length > 0 && (
+            <div className="substitute-issues">
+              <span>
+                Current product: {issues.map(issue => SUBSTITUTE_ISSUE_LABELS[issue]).join(', ')}.
+                {!showAll && ' Only substitutes that fix this are shown.'}
+              </span>
+              <button className="btn-secondary-small" onClick={() => setShowAll(!showAll)}>
+                {showAll ? 'Only Fixes' : 'Show All'}
+              </button>
+            </div>
+          )}
+
+          <SubstituteList
+            substitutes={substitutes}
+            onSelect={(substitute) => onSwap(substitute.match.product.productId)}
+            isSelectable={(substitute) => !orderedProducts[substitute.match.product.productId]}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
 /**
  * Add Category Modal Component
  */
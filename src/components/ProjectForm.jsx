@@ -1,11 +1,14 @@
 import React, { useState } from 'react';
-import { PROJECT_TYPES, PRODUCT_CATEGORIES, US_STATES, CERTIFICATIONS } from '../types/index.js';
+import { PROJECT_TYPES, PRODUCT_CATEGORIES, US_STATES, CERTIFICATIONS, CUSTOMER_TIERS } from '../types/index.js';
+import { FIRE_RATINGS } from '../types/productSchema.js';
+import { getFireRatingRequirements } from '../services/fireCompliance.js';
+import { transitRules } from '../config/businessRules.js';
 
 /**
  * Project Specification Form Component
  * Allows customers to define their project specifications
  */
-const ProjectForm = ({ onSubmit }) => {
+const ProjectForm = ({ onSubmit, onEdit, manufacturers = [] }) => {
   const [formData, setFormData] = useState({
     projectName: '',
     projectType: 'Residential',
@@ -15,12 +18,18 @@ const ProjectForm = ({ onSubmit }) => {
     maxBudget: '',
     projectStartDate: '',
     projectEndDate: '',
+    carrierTier: transitRules.defaultTier,
     requiredCategories: [],
+    categoryQuantities: {},
     requireCertifications: false,
     requiredCertifications: [],
+    minFireRatings: {},
+    preferredManufacturers: [],
+    excludedManufacturers: [],
     ecoFriendlyPreference: false,
     sustainablePreference: false,
     installationCapability: 'Professional',
+    customerTier: 'Standard',
     notes: ''
   });
 
@@ -49,6 +58,16 @@ const ProjectForm = ({ onSubmit }) => {
     }));
   };
 
+  const handleCategoryQuantityChange = (category, value) => {
+    setFormData(prev => ({
+      ...prev,
+      categoryQuantities: {
+        ...prev.categoryQuantities,
+        [category]: value
+      }
+    }));
+  };
+
   const handleCertificationToggle = (cert) => {
     setFormData(prev => ({
       ...prev,
@@ -58,6 +77,29 @@ const ProjectForm = ({ onSubmit }) => {
     }));
   };
 
+  const handleFireRatingChange = (category, rating) => {
+    setFormData(prev => ({
+      ...prev,
+      minFireRatings: {
+        ...prev.minFireRatings,
+        [category]: rating
+      }
+    }));
+  };
+
+  // A manufacturer is either preferred, excluded or neither
+  const handleManufacturerChange = (manufacturer, preference) => {
+    setFormData(prev => ({
+      ...prev,
+      preferredManufacturers: preference === 'preferred'
+        ? [...prev.preferredManufacturers.filter(m => m !== manufacturer), manufacturer]
+        : prev.preferredManufacturers.filter(m => m !== manufacturer),
+      excludedManufacturers: preference === 'excluded'
+        ? [...prev.excludedManufacturers.filter(m => m !== manufacturer), manufacturer]
+        : prev.excludedManufacturers.filter(m => m !== manufacturer)
+    }));
+  };
+
   const handleMilestoneChange = (e) => {
     const { name, value, type, checked } = e.target;
     setNewMilestone(prev => ({
@@ -97,10 +139,29 @@ const ProjectForm = ({ onSubmit }) => {
   const handleSubmit = (e) => {
     e.preventDefault();
 
+    // Keep quantities for selected categories only, as numbers
+    const categoryQuantities = {};
+    formData.requiredCategories.forEach(category => {
+      const quantity = parseFloat(formData.categoryQuantities[category]);
+      if (quantity > 0) {
+        categoryQuantities[category] = quantity;
+      }
+    });
+
+    // Drop categories left at "No minimum"
+    const minFireRatings = {};
+    Object.entries(formData.minFireRatings).forEach(([category, rating]) => {
+      if (rating) {
+        minFireRatings[category] = rating;
+      }
+    });
+
     // Convert string dates to Date objects
     const specification = {
       ...formData,
       maxBudget: parseFloat(formData.maxBudget) || 0,
+      categoryQuantities,
+      minFireRatings,
       projectStartDate: new Date(formData.projectStartDate),
       projectEndDate: new Date(formData.projectEndDate),
       milestones: milestones.map(m => ({
@@ -112,8 +173,17 @@ const ProjectForm = ({ onSubmit }) => {
     onSubmit(specification);
   };
 
+  // Code minimums for the selected state and project type
+  const codeRequirements = getFireRatingRequirements({
+    location: formData.location,
+    projectType: formData.projectType
+  });
+  const fireRatingCategories = PRODUCT_CATEGORIES.filter(category =>
+    formData.requiredCategories.includes(category) || codeRequirements[category]
+  );
+
   return (
-    <form onSubmit={handleSubmit} className="project-form">
+    <form onSubmit={handleSubmit} onChange={onEdit} className="project-form">
       <h2>Define Your Project</h2>
 
       {/* Basic Information */}
@@ -239,6 +309,21 @@ const ProjectForm = ({ onSubmit }) => {
             />
           </div>
         </div>
+
+        <div className="form-group">
+          <label htmlFor="carrierTier">Shipping Service</label>
+          <select
+            id="carrierTier"
+            name="carrierTier"
+            value={formData.carrierTier}
+            onChange={handleInputChange}
+          >
+            {Object.entries(transitRules.tiers).map(([id, tier]) => (
+              <option key={id} value={id}>{tier.label}</option>
+            ))}
+          </select>
+          <small className="form-hint">Transit is estimated from the distance between each warehouse and your ZIP code</small>
+        </div>
       </section>
 
       {/* Milestones */}
@@ -335,6 +420,30 @@ const ProjectForm = ({ onSubmit }) => {
             </label>
           ))}
         </div>
+
+        {formData.requiredCategories.length > 0 && (
+          <>
+            <p className="section-description">
+              Enter how much you need of each category (in the product's unit) to estimate costs
+            </p>
+            <div className="form-row">
+              {formData.requiredCategories.map(category => (
+                <div key={category} className="form-group">
+                  <label htmlFor={`quantity-${category}`}>{category} Quantity</label>
+                  <input
+                    type="number"
+                    id={`quantity-${category}`}
+                    min="0"
+                    step="any"
+                    value={formData.categoryQuantities[category] || ''}
+                    onChange={(e) => handleCategoryQuantityChange(category, e.target.value)}
+                    placeholder="1"
+                  />
+                </div>
+              ))}
+            </div>
+          </>
+        )}
       </section>
 
       {/* Certifications */}
@@ -369,6 +478,74 @@ const ProjectForm = ({ onSubmit }) => {
         )}
       </section>
 
+      {/* Fire Ratings */}
+      {fireRatingCategories.length > 0 && (
+        <section className="form-section">
+          <h3>Fire Ratings &amp; Code Compliance</h3>
+          <p className="section-description">
+            Products below the minimum fire rating are never recommended. Code minimums for your state and project type always apply.
+          </p>
+
+          <div className="form-row">
+            {fireRatingCategories.map(category => {
+              const codeMinimum = codeRequirements[category] && codeRequirements[category].minRating;
+              return (
+                <div key={category} className="form-group">
+                  <label htmlFor={`fire-rating-${category}`}>{category} Minimum</label>
+                  <select
+                    id={`fire-rating-${category}`}
+                    value={formData.minFireRatings[category] || ''}
+                    onChange={(e) => handleFireRatingChange(category, e.target.value)}
+                  >
+                    <option value="">No minimum</option>
+                    {[...FIRE_RATINGS].reverse().map(rating => (
+                      <option key={rating} value={rating}>{rating}</option>
+                    ))}
+                  </select>
+                  {codeMinimum && (
+                    <small className="fire-rating-code">
+                      Code minimum: {codeMinimum} ({codeRequirements[category].sources.join(', ')})
+                    </small>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
+      {/* Manufacturers */}
+      {manufacturers.length > 0 && (
+        <section className="form-section">
+          <h3>Manufacturers (Optional)</h3>
+          <p className="section-description">
+            Preferred manufacturers rank higher; excluded manufacturers are never recommended
+          </p>
+
+          <div className="manufacturer-grid">
+            {manufacturers.map(manufacturer => {
+              const preference = formData.preferredManufacturers.includes(manufacturer)
+                ? 'preferred'
+                : formData.excludedManufacturers.includes(manufacturer) ? 'excluded' : 'any';
+              return (
+                <div key={manufacturer} className={`manufacturer-option ${preference}`}>
+                  <label htmlFor={`manufacturer-${manufacturer}`}>{manufacturer}</label>
+                  <select
+                    id={`manufacturer-${manufacturer}`}
+                    value={preference}
+                    onChange={(e) => handleManufacturerChange(manufacturer, e.target.value)}
+                  >
+                    <option value="any">No preference</option>
+                    <option value="preferred">Preferred</option>
+                    <option value="excluded">Excluded</option>
+                  </select>
+                </div>
+              );
+            })}
+          </div>
+        </section>
+      )}
+
       {/* Preferences */}
       <section className="form-section">
         <h3>Preferences</h3>
@@ -409,6 +586,20 @@ const ProjectForm = ({ onSubmit }) => {
             <option value="Professional">Professional Installation</option>
           </select>
         </div>
+
+        <div className="form-group">
+          <label htmlFor="customerTier">Customer Pricing Tier</label>
+          <select
+            id="customerTier"
+            name="customerTier"
+            value={formData.customerTier}
+            onChange={handleInputChange}
+          >
+            {CUSTOMER_TIERS.map(tier => (
+              <option key={tier} value={tier}>{tier}</option>
+            ))}
+          </select>
+        </div>
       </section>
 
       {/* Additional Notes */}
@@ -5,7 +5,7 @@ import { useAuth } from '../contexts/AuthContext';
  * Project List Component
  * Displays saved projects and allows loading/deleting
  */
-const ProjectList = ({ onLoadProject, onNewProject }) => {
+const ProjectList = ({ onLoadProject, onNewProject, onManageCatalog, onBrowseCatalog }) => {
   const { currentUser, getUserProjects, deleteProject, logout } = useAuth();
   const [confirmDelete, setConfirmDelete] = useState(null);
 
@@ -43,6 +43,16 @@ const ProjectList = ({ onLoadProject, onNewProject }) => {
           <button onClick={onNewProject} className="btn-primary">
             + New Project
           </button>
+          {onBrowseCatalog && (
+            <button onClick={onBrowseCatalog} className="btn-secondary">
+              Browse Catalog
+            </button>
+          )}
+          {onManageCatalog && (
+            <button onClick={onManageCatalog} className="btn-secondary">
+              Manage Catalog
+            </button>
+          )}
           <button onClick={logout} className="btn-secondary">
             Logout
           </button>
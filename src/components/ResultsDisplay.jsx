@@ -1,12 +1,22 @@
 import React, { useState } from 'react';
+import { findSubstitutes, getSubstituteIssues, SUBSTITUTE_ISSUE_LABELS } from '../services/substituteFinder.js';
+import { describeDeliveryAssumptions } from '../services/deliveryCalendar.js';
+import SubstituteList from './SubstituteList.jsx';
+
+// Stock info style for each stock status
+const STOCK_STATUS_CLASSES = {
+  'in-stock': 'in-stock',
+  partial: 'warning',
+  'out-of-stock': 'out-stock'
+};
 
 /**
  * Results Display Component
  * Shows matched products, project analysis, and timeline information
  */
-const ResultsDisplay = ({ analysis, onBack }) => {
+const ResultsDisplay = ({ analysis, initialSortBy = 'score', onBack }) => {
   const [selectedCategory, setSelectedCategory] = useState('all');
-  const [sortBy, setSortBy] = useState('score');
+  const [sortBy, setSortBy] = useState(initialSortBy);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
 
   if (!analysis || !analysis.recommendedProducts) {
@@ -14,7 +24,7 @@ const ResultsDisplay = ({ analysis, onBack }) => {
       <div className="results-empty">
         <p>No results to display</p>
         <button onClick={onBack} className="btn-secondary">
-          Back to Form
+          Back to Dashboard
         </button>
       </div>
     );
@@ -46,6 +56,8 @@ const ResultsDisplay = ({ analysis, onBack }) => {
         return [...products].sort((a, b) =>
           a.estimatedDelivery - b.estimatedDelivery
         );
+      case 'landed-cost':
+        return [...products].sort((a, b) => a.landedCost - b.landedCost);
       default:
         return products;
     }
@@ -53,6 +65,9 @@ const ResultsDisplay = ({ analysis, onBack }) => {
 
   displayProducts = sortProducts(displayProducts);
 
+  const spec = analysis.specification;
+  const overBudget = spec.maxBudget > 0 && analysis.estimatedTotalCost > spec.maxBudget;
+
   return (
     <div className="results-container">
       {/* Project Summary */}
@@ -60,7 +75,7 @@ const ResultsDisplay = ({ analysis, onBack }) => {
         <div className="summary-header">
           <h2>{analysis.specification.projectName}</h2>
           <button onClick={onBack} className="btn-secondary">
-            New Search
+            Back to Dashboard
           </button>
         </div>
 
@@ -132,6 +147,31 @@ const ResultsDisplay = ({ analysis, onBack }) => {
           </div>
         )}
 
+        {/* Critical Path */}
+        {analysis.timelineAnalysis.criticalPath.length > 0 && (
+          <div className="alerts-section">
+            <div className="alert alert-warning">
+              <h4>Critical Milestones at Risk</h4>
+              <ul>
+                {analysis.timelineAnalysis.criticalPath.map((item, idx) => (
+                  <li key={idx}>
+                    {item.milestoneName} ({new Date(item.targetDate).toLocaleDateString()}):{' '}
+                    {item.productName} arrives {new Date(item.estimatedDelivery).toLocaleDateString()},{' '}
+                    {item.daysLate} days late
+                  </li>
+                ))}
+              </ul>
+              {analysis.timelineAnalysis.concerns.length > 0 && (
+                <ul>
+                  {analysis.timelineAnalysis.concerns.map((concern, idx) => (
+                    <li key={idx}>{concern}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Category Breakdown */}
         {Object.keys(analysis.categoryBreakdown).length > 0 && (
           <div className="category-breakdown">
@@ -141,6 +181,9 @@ const ResultsDisplay = ({ analysis, onBack }) => {
                 <div key={category} className="breakdown-item">
                   <div className="breakdown-category">{category}</div>
                   <div className="breakdown-product">{data.product}</div>
+                  <div className="breakdown-quantity">
+                    {data.orderQuantity} {data.unit} × ${data.unitPrice.toFixed(2)}
+                  </div>
                   <div className="breakdown-cost">
                     ${data.cost.toLocaleString('en-US', {
                       minimumFractionDigits: 2,
@@ -185,6 +228,7 @@ const ResultsDisplay = ({ analysis, onBack }) => {
             <option value="price-low">Price: Low to High</option>
             <option value="price-high">Price: High to Low</option>
             <option value="delivery">Earliest Delivery</option>
+            <option value="landed-cost">Landed Cost: Low to High</option>
           </select>
         </div>
 
@@ -218,7 +262,13 @@ const ResultsDisplay = ({ analysis, onBack }) => {
         ) : (
           <div className={`products-${viewMode}`}>
             {displayProducts.map((match, idx) => (
-              <ProductCard key={match.product.productId} match={match} viewMode={viewMode} />
+              <ProductCard
+                key={match.product.productId}
+                match={match}
+                viewMode={viewMode}
+                candidates={analysis.recommendedProducts}
+                overBudget={overBudget}
+              />
             ))}
           </div>
         )}
@@ -230,9 +280,12 @@ const ResultsDisplay = ({ analysis, onBack }) => {
 /**
  * Individual Product Card Component
  */
-const ProductCard = ({ match, viewMode }) => {
+const ProductCard = ({ match, viewMode, candidates = [], overBudget = false }) => {
   const [expanded, setExpanded] = useState(false);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const [showSubstitutes, setShowSubstitutes] = useState(false);
   const { product } = match;
+  const issues = getSubstituteIssues(match, { overBudget });
 
   return (
     <div className={`product-card ${viewMode}`}>
@@ -261,10 +314,27 @@ const ProductCard = ({ match, viewMode }) => {
             </span>
           </div>
 
+          <div className="info-item">
+            <span className="info-label">Landed Cost:</span>
+            <span
+              className="info-value"
+              title={`${match.orderQuantity} ${product.unit}, ${match.freight.billableWeight.toLocaleString()} lbs billable`}
+            >
+              ${match.landedCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              {' '}(incl. ${match.freight.cost.toFixed(2)}{' '}
+              {[...new Set(match.freight.shipments.map(s => s.modeLabel))].join(' + ')} freight)
+            </span>
+          </div>
+
           <div className="info-item">
             <span className="info-label">Stock:</span>
-            <span className={`info-value ${product.stockQty > 0 ? 'in-stock' : 'out-stock'}`}>
-              {product.stockQty > 0 ? `${product.stockQty} available` : 'Out of stock'}
+            <span className={`info-value ${STOCK_STATUS_CLASSES[match.stock.status]}`}>
+              {match.stock.status === 'in-stock' && `${product.stockQty} available to promise`}
+              {match.stock.status === 'partial' &&
+                `${match.stock.available} of ${match.stock.quantity} available to promise; rest by ${match.stock.shortfallDelivery.toLocaleDateString()}`}
+              {match.stock.status === 'out-of-stock' &&
+                `Out of stock; restocked by ${match.stock.shortfallDelivery.toLocaleDateString()}`}
+              {product.reservedQty > 0 && ` (${product.reservedQty} reserved by earlier projects)`}
             </span>
           </div>
 
@@ -275,11 +345,51 @@ const ProductCard = ({ match, viewMode }) => {
 
           <div className="info-item">
             <span className="info-label">Estimated Delivery:</span>
-            <span className={`info-value ${match.meetsTimeline ? '' : 'warning'}`}>
+            <span
+              className={`info-value ${match.meetsTimeline ? '' : 'warning'}`}
+              title={describeDeliveryAssumptions(match.deliveryAssumptions)}
+            >
               {match.estimatedDelivery.toLocaleDateString()}
               {!match.meetsTimeline && ' ⚠️'}
             </span>
           </div>
+
+          {match.shipments.length > 1 && (
+            <div className="info-item">
+              <span className="info-label">Ships From:</span>
+              <span className="info-value">
+                {match.shipments.map((shipment, idx) => (
+                  <span
+                    key={idx}
+                    className={shipment.meetsTimeline ? '' : 'warning'}
+                  >
+                    {idx > 0 && ', '}
+                    {shipment.quantity}{shipment.backordered > 0 && ' backordered'} from {shipment.warehouseLocation} by{' '}
+                    {shipment.estimatedDelivery.toLocaleDateString()}
+                    {!shipment.meetsTimeline && ' ⚠️'}
+                  </span>
+                ))}
+              </span>
+            </div>
+          )}
+
+          {match.milestoneChecks && match.milestoneChecks.length > 0 && (
+            <div className="info-item">
+              <span className="info-label">Milestones:</span>
+              <span className="info-value">
+                {match.milestoneChecks.map((check, idx) => (
+                  <span
+                    key={check.milestoneId}
+                    className={check.meetsTimeline ? '' : 'warning'}
+                  >
+                    {idx > 0 && ', '}
+                    {check.name}{check.critical ? ' (critical)' : ''}
+                    {!check.meetsTimeline && ' ⚠️'}
+                  </span>
+                ))}
+              </span>
+            </div>
+          )}
         </div>
 
         {/* Match Reasons */}
@@ -306,6 +416,74 @@ const ProductCard = ({ match, viewMode }) => {
           </div>
         )}
 
+        {/* Score Breakdown */}
+        {match.scoreBreakdown && (
+          <button
+            className="btn-expand"
+            onClick={() => setShowBreakdown(!showBreakdown)}
+          >
+            {showBreakdown ? 'Hide Score Breakdown' : 'Why This Score?'}
+          </button>
+        )}
+
+        {showBreakdown && match.scoreBreakdown && (
+          <div className="score-breakdown">
+            <table>
+              <thead>
+                <tr>
+                  <th>Criterion</th>
+                  <th>Detail</th>
+                  <th className="text-right">Points</th>
+                </tr>
+              </thead>
+              <tbody>
+                {match.scoreBreakdown.map(entry => (
+                  <tr key={entry.criterion} className={entry.points < 0 ? 'penalty' : ''}>
+                    <td title={entry.explanation}>
+                      {entry.label}
+                      {entry.weight !== undefined && entry.weight !== 1 && ` (×${entry.weight})`}
+                      <span className="score-rule">{entry.rule}</span>
+                    </td>
+                    <td>{entry.detail}</td>
+                    <td className="text-right">
+                      {entry.points > 0 ? '+' : ''}{entry.points}
+                      {entry.maxPoints !== null && ` / ${entry.maxPoints}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <td colSpan="2">
+                    Match score
+                    {match.rawScore !== match.matchScore && ` (${match.rawScore} capped to 0–100)`}
+                  </td>
+                  <td className="text-right">{match.matchScore}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+
+        {/* Substitutes */}
+        <button
+          className="btn-expand"
+          onClick={() => setShowSubstitutes(!showSubstitutes)}
+        >
+          {showSubstitutes ? 'Hide Alternatives' : 'Find Alternatives'}
+        </button>
+
+        {showSubstitutes && (
+          <div className="product-substitutes">
+            {issues.length > 0 && (
+              <p className="substitute-issues">
+                Showing alternatives that fix: {issues.map(issue => SUBSTITUTE_ISSUE_LABELS[issue]).join(', ')}
+              </p>
+            )}
+            <SubstituteList substitutes={findSubstitutes(match, candidates, { issues })} />
+          </div>
+        )}
+
         {/* Expandable Details */}
         <button
           className="btn-expand"
@@ -324,12 +502,19 @@ const ProductCard = ({ match, viewMode }) => {
 
               <div className="detail-item">
                 <span className="detail-label">Warehouse:</span>
-                <span className="detail-value">{product.warehouseLocation}</span>
+                <span className="detail-value">
+                  {[...new Set(match.shipments.map(s => s.warehouseLocation))].join(', ')}
+                </span>
               </div>
 
               <div className="detail-item">
                 <span className="detail-label">Shipping Days:</span>
-                <span className="detail-value">{match.estimatedShippingDays} days</span>
+                <span className="detail-value">
+                  {match.estimatedShippingDays} days {match.transit.tierLabel}
+                  {match.transit.method === 'distance'
+                    ? ` (${match.transit.distanceMiles.toLocaleString()} mi)`
+                    : ' (regional estimate)'}
+                </span>
               </div>
 
               <div className="detail-item">
@@ -0,0 +1,44 @@
+import React from 'react';
+
+/**
+ * Substitute List Component
+ * Shows ranked substitutes from findSubstitutes with what changes on a swap
+ */
+const SubstituteList = ({ substitutes, onSelect, isSelectable = () => true }) => {
+  if (substitutes.length === 0) {
+    return <p className="no-products">No close substitutes in this category</p>;
+  }
+
+  return (
+    <ul className="substitute-list">
+      {substitutes.map(substitute => {
+        const { product } = substitute.match;
+        return (
+          <li key={product.productId} className="substitute-item">
+            <div className="substitute-info">
+              <strong>{product.productName}</strong>
+              <span className="modal-product-meta">
+                {product.manufacturer} • ${product.price.toFixed(2)}/{product.unit} • Match: {substitute.match.matchScore}%
+              </span>
+              <span className="substitute-summary">{substitute.summary}</span>
+            </div>
+            <span className="substitute-similarity" title="Similarity to the current product">
+              {substitute.similarity}% similar
+            </span>
+            {onSelect && (
+              <button
+                className="btn-primary-small"
+                onClick={() => onSelect(substitute)}
+                disabled={!isSelectable(substitute)}
+              >
+                {isSelectable(substitute) ? 'Swap' : 'Ordered'}
+              </button>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default SubstituteList;
@@ -38,7 +38,50 @@ export const scoringRules = {
 
   // Timeline compliance
   timelineMetBonus: 5,
-  timelineMissedPenalty: -10
+  timelineMissedPenalty: -10,
+
+  // Products from the project's preferred manufacturers
+  preferredManufacturerBonus: 10,
+
+  // Products shipping from a warehouse in the project state
+  localSupplierBonus: 10,
+
+  // In-season categories (months are 0-11; default November-March)
+  seasonalBonus: 5,
+  seasonalCategories: ['Insulation', 'Heating'],
+  seasonalMonths: [10, 11, 0, 1, 2]
+};
+
+/**
+ * SCORING PIPELINE
+ * Order, enablement and weight of the scoring criteria registered in
+ * services/scoringCriteria.js
+ */
+export const scoringPipelineRules = {
+  // Criteria run in this order; registered criteria not listed run afterwards
+  order: [
+    'availability',
+    'projectType',
+    'certifications',
+    'eco',
+    'stock',
+    'installation',
+    'warranty',
+    'timeline',
+    'preferredManufacturer',
+    'localSupplier',
+    'seasonal',
+    'custom'
+  ],
+
+  // Criteria to skip, e.g. ['warranty', 'seasonal']
+  disabled: [],
+
+  // Criteria that are off by default to turn on
+  enabled: [],
+
+  // Point multipliers by criterion ID (default 1), e.g. { timeline: 2 }
+  weights: {}
 };
 
 /**
@@ -64,7 +107,7 @@ export const budgetRules = {
  * Configure timeline calculations and constraints
  */
 export const timelineRules = {
-  // Buffer days to add for safety margin
+  // Buffer days added to every delivery estimate for safety margin
   safetyBufferDays: 7,
 
   // Minimum acceptable timeline (days)
@@ -73,8 +116,91 @@ export const timelineRules = {
   // Lead time multiplier for rush orders
   rushOrderMultiplier: 0.75,
 
-  // Weekend/holiday adjustment (additional days)
-  weekendAdjustment: 2
+  // Units beyond stock on hand wait for a restock, which takes the
+  // product's lead time again times this factor
+  restockLeadTimeFactor: 1,
+
+  // Count lead time, transit and buffer in business days (skipping weekends and holidays)
+  businessDaysOnly: true,
+
+  // Weekend/holiday adjustment (additional days), used instead when businessDaysOnly is false
+  weekendAdjustment: 2,
+
+  // Skip observed US federal holidays
+  federalHolidays: true,
+
+  // Company holidays: "MM-DD" repeats every year, "YYYY-MM-DD" is a single day
+  companyHolidays: [
+    { date: '12-24', name: 'Christmas Eve' },
+    { date: '12-31', name: "New Year's Eve" }
+  ]
+};
+
+/**
+ * TRANSIT RULES
+ * Transit time from warehouse to jobsite by great-circle distance
+ * (services/transitEstimator.js). Projects with an unknown ZIP code fall
+ * back to the regional estimate in calculateShippingDays.
+ */
+export const transitRules = {
+  // Carrier tier used when the project doesn't choose one
+  defaultTier: 'ground',
+
+  // Carrier speed tiers
+  tiers: {
+    ground: { label: 'Ground', milesPerDay: 600, handlingDays: 1, minDays: 2 },
+    ltl: { label: 'LTL Freight', milesPerDay: 400, handlingDays: 2, minDays: 3 },
+    expedited: { label: 'Expedited', milesPerDay: 1000, handlingDays: 0, minDays: 1 }
+  },
+
+  // Road miles per great-circle mile
+  circuityFactor: 1.2,
+
+  // Extra days to or from Alaska and Hawaii (ocean or air leg)
+  nonContiguousExtraDays: 3
+};
+
+/**
+ * FREIGHT RULES
+ * Freight cost by shipment weight and distance (services/freightEstimator.js).
+ * Product weight is pounds and dimensions inches, per unit sold.
+ */
+export const freightRules = {
+  // Cubic inches per pound of dimensional weight
+  dimDivisor: 139,
+
+  // Distance used when a warehouse or project state is unknown (miles)
+  defaultDistanceMiles: 1000,
+
+  // Parcel: up to maxWeight billable pounds per shipment
+  parcel: {
+    maxWeight: 150,
+    baseRate: 12,                 // Per shipment
+    perPound: 0.5,
+    perPoundPer100Miles: 0.05
+  },
+
+  // Less-than-truckload: up to maxWeight pounds, priced per hundredweight (100 lbs)
+  ltl: {
+    maxWeight: 10000,
+    minimumCharge: 150,
+    perHundredweight: 18,
+    perHundredweightPer100Miles: 2.5
+  },
+
+  // Full truckload: priced per truck per mile
+  ftl: {
+    truckCapacity: 45000,         // Pounds per truck
+    perMile: 2.75,
+    minimumCharge: 800            // Per truck
+  },
+
+  // Ordered lines from one warehouse arriving within windowDays of each
+  // other ship together when that costs less (services/shipmentPlanner.js)
+  consolidation: {
+    enabled: true,
+    windowDays: 5
+  }
 };
 
 /**
@@ -125,6 +251,46 @@ export const categoryRules = {
   }
 };
 
+/**
+ * COMPLIANCE RULES
+ * Code minimum fire ratings by category ('Class A' is the most fire resistant).
+ * Projects can require stricter ratings but not weaker ones; unrated
+ * products never meet a requirement.
+ */
+export const complianceRules = {
+  // By project state, e.g. Class A roofing in wildfire zones
+  stateFireRatings: {
+    CA: { Roofing: 'Class A' },
+    CO: { Roofing: 'Class A' },
+    AZ: { Roofing: 'Class B' },
+    OR: { Roofing: 'Class B' }
+  },
+
+  // By project type
+  projectTypeFireRatings: {
+    Commercial: { Insulation: 'Class A', Drywall: 'Class A' },
+    Industrial: { Insulation: 'Class B' }
+  }
+};
+
+/**
+ * SUBSTITUTE RULES
+ * How alternatives to a chosen product are found and ranked
+ */
+export const substituteRules = {
+  maxResults: 5,                  // Substitutes to suggest per product
+  priceBand: 0.5,                 // Only suggest products within ±50% of the unit price
+  minSimilarity: 40,              // Hide substitutes scoring below this (0-100)
+
+  // Share of the similarity score each attribute contributes.
+  // Substitutes are always sold in the same unit, so unit prices compare.
+  weights: {
+    price: 40,                    // Closeness of unit price
+    certifications: 35,           // Share of certifications kept
+    warranty: 25                  // Closeness of warranty length
+  }
+};
+
 /**
  * PRICING RULES
  * Configure pricing calculations and discounts
@@ -147,11 +313,14 @@ export const pricingRules = {
   // Tax rate (as decimal)
   taxRate: 0.0,
 
-  // Shipping calculation
+  // Days a customer quote/proposal stays valid
+  quoteValidityDays: 30,
+
+  // Shipping is free above this order value; otherwise freight is
+  // estimated per shipment (see freightRules). flatRate and perItemRate
+  // are no longer used.
   shipping: {
-    freeShippingThreshold: 5000,
-    flatRate: 150,
-    perItemRate: 10
+    freeShippingThreshold: 5000
   }
 };
 
@@ -176,6 +345,16 @@ export const notificationRules = {
   minDisplayScore: 50
 };
 
+/**
+ * RESERVATION RULES
+ * Configure how long saved projects hold catalog stock
+ */
+export const reservationRules = {
+  // Days a saved project's ordered quantities stay reserved; saving the
+  // project again renews the hold
+  holdDays: 14
+};
+
 /**
  * CUSTOM BUSINESS LOGIC
  * Add your own custom functions here
@@ -186,20 +365,14 @@ export const notificationRules = {
  * Override this to implement your own scoring logic
  */
 export const customScoring = (product, specification) => {
-  // Example: Prefer local suppliers
+  // Local supplier and seasonal bonuses are scoring criteria now
+  // (localSupplier and seasonal in services/scoringCriteria.js)
   let bonusPoints = 0;
 
-  if (product.warehouseLocation === specification.location) {
-    bonusPoints += 10; // Local supplier bonus
-  }
-
-  // Example: Seasonal adjustments
-  const currentMonth = new Date().getMonth();
-  if (currentMonth >= 10 || currentMonth <= 2) { // Winter months
-    if (product.category === 'Insulation' || product.category === 'Heating') {
-      bonusPoints += 5;
-    }
-  }
+  // Example: Favor a strategic partner
+  // if (product.manufacturer === 'BuildPro') {
+  //   bonusPoints += 5;
+  // }
 
   return bonusPoints;
 };
@@ -228,18 +401,13 @@ export const customFilter = (product, specification) => {
 /**
  * Price adjustment function
  * Modify this to add custom pricing logic
+ * basePrice already has the volume discount (pricing.volumeDiscounts) taken
+ * off by the quote engine; receives the pricing rules in use so alternate
+ * rule sets apply their own adjustments
  */
-export const adjustPrice = (basePrice, quantity, product, specification) => {
+export const adjustPrice = (basePrice, quantity, product, specification, pricing = pricingRules) => {
   let finalPrice = basePrice;
 
-  // Apply volume discounts
-  for (const [threshold, discount] of Object.entries(pricingRules.volumeDiscounts).reverse()) {
-    if (quantity >= parseInt(threshold)) {
-      finalPrice *= (1 - discount);
-      break;
-    }
-  }
-
   // Add any custom pricing logic here
   // Example: Preferred customer discount
   if (specification.customerTier === 'Premium') {
@@ -249,20 +417,78 @@ export const adjustPrice = (basePrice, quantity, product, specification) => {
   return finalPrice;
 };
 
+/**
+ * Custom scoring criteria
+ * Registered after the built-in criteria in every thread that scores,
+ * including the matching worker (criteria registered from UI code only
+ * reach the main thread). Same shape as registerScoringCriterion in
+ * services/scoringCriteria.js.
+ */
+export const customCriteria = [
+  // Example: Bonus for short lead times
+  // {
+  //   id: 'fastLeadTime',
+  //   label: 'Fast lead time',
+  //   explanation: 'Ships within a week',
+  //   score: (product) => ({
+  //     points: product.leadTimeDays <= 7 ? 5 : 0,
+  //     maxPoints: 5,
+  //     rule: 'custom.fastLeadTime',
+  //     detail: `${product.leadTimeDays}-day lead time`
+  //   })
+  // }
+];
+
 /**
  * Export all rules as a single object
  */
-export default {
+const businessRules = {
   scoring: scoringRules,
+  scoringPipeline: scoringPipelineRules,
   budget: budgetRules,
   timeline: timelineRules,
+  transit: transitRules,
+  freight: freightRules,
   filtering: filteringRules,
+  compliance: complianceRules,
+  substitutes: substituteRules,
   categories: categoryRules,
   pricing: pricingRules,
   notifications: notificationRules,
+  reservations: reservationRules,
   custom: {
     scoring: customScoring,
     filter: customFilter,
     adjustPrice
   }
 };
+
+// Shipping settings replaced by freight estimation (freightRules)
+const REMOVED_SHIPPING_KEYS = ['flatRate', 'perItemRate'];
+
+/**
+ * Merge partial rule overrides onto the default rules
+ * Each section is merged separately, so overrides only need the values that change
+ * @param {Object} overrides - Partial rules object with the same shape as the default export
+ * @returns {Object} Complete rules object
+ */
+export const mergeRules = (overrides = {}) => {
+  const merged = {};
+
+  const shipping = overrides.pricing && overrides.pricing.shipping;
+  const removedKeys = shipping ? REMOVED_SHIPPING_KEYS.filter(key => key in shipping) : [];
+  if (removedKeys.length > 0) {
+    console.warn(`Ignoring pricing.shipping.${removedKeys.join(' and ')}: freight is estimated per shipment from rules.freight`);
+  }
+
+  Object.keys(businessRules).forEach(section => {
+    merged[section] = {
+      ...businessRules[section],
+      ...(overrides[section] || {})
+    };
+  });
+
+  return merged;
+};
+
+export default businessRules;
@@ -1,4 +1,10 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { createReservation } from '../services/inventoryReservations.js';
+import {
+  getStoredReservations,
+  saveStoredReservation,
+  removeStoredReservation
+} from '../utils/reservationStorage.js';
 
 /**
  * Authentication Context
@@ -6,6 +12,12 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
  */
 const AuthContext = createContext(null);
 
+// Admins manage the shared catalog; reps build projects
+export const ROLES = {
+  ADMIN: 'admin',
+  REP: 'rep'
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -22,15 +34,21 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     const storedUser = localStorage.getItem('currentUser');
     if (storedUser) {
-      setCurrentUser(JSON.parse(storedUser));
+      const user = JSON.parse(storedUser);
+      // Take the role from the user record, which may predate roles
+      const stored = getUsers().find(u => u.id === user.id);
+      setCurrentUser({ ...user, role: stored ? stored.role : ROLES.REP });
     }
     setLoading(false);
   }, []);
 
   // Get all users from localStorage
+  // Users saved before roles existed: the first one is the admin
   const getUsers = () => {
     const users = localStorage.getItem('users');
-    return users ? JSON.parse(users) : [];
+    return (users ? JSON.parse(users) : []).map((user, index) => (
+      user.role ? user : { ...user, role: index === 0 ? ROLES.ADMIN : ROLES.REP }
+    ));
   };
 
   // Save users to localStorage
@@ -57,6 +75,8 @@ export const AuthProvider = ({ children }) => {
       username,
       email,
       password, // In production, this should be hashed
+      // The first user registered in this browser administers the catalog
+      role: users.length === 0 ? ROLES.ADMIN : ROLES.REP,
       createdAt: new Date().toISOString(),
       projects: []
     };
@@ -132,6 +152,12 @@ export const AuthProvider = ({ children }) => {
 
     saveUsers(users);
 
+    // Ordered quantities reserve catalog stock until the hold expires
+    saveStoredReservation(createReservation(project, {
+      reservedBy: currentUser.username,
+      previous: getStoredReservations()[project.id]
+    }));
+
     // Update current user
     const updatedUser = { ...users[userIndex] };
     delete updatedUser.password;
@@ -156,6 +182,7 @@ export const AuthProvider = ({ children }) => {
 
     users[userIndex].projects = users[userIndex].projects.filter(p => p.id !== projectId);
     saveUsers(users);
+    removeStoredReservation(projectId);
 
     // Update current user
     const updatedUser = { ...users[userIndex] };
@@ -174,6 +201,7 @@ export const AuthProvider = ({ children }) => {
 
   const value = {
     currentUser,
+    isAdmin: currentUser?.role === ROLES.ADMIN,
     loading,
     register,
     login,
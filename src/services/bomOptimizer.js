@@ -0,0 +1,199 @@
+/**
+ * Bill of Materials Optimizer
+ * Picks one product per required category, maximizing total match score
+ * while staying within the budget cushion and meeting the project timeline
+ */
+
+import businessRules from '../config/businessRules.js';
+
+// Upper bound on partial solutions kept per category step
+const MAX_FRONTIER_SIZE = 2000;
+
+/**
+ * Get the extended cost of a match
+ * @param {Object} match - Product match
+ * @returns {number} Line total, or unit price for matches without quantities
+ */
+const getLineCost = (match) => (
+  match.lineTotal !== undefined ? match.lineTotal : match.product.price
+);
+
+/**
+ * Keep only entries that are not dominated on cost and score
+ * An entry is dominated when another costs the same or less and scores the same or more
+ * @param {Array<Object>} entries - Entries with cost and score
+ * @returns {Array<Object>} Non-dominated entries sorted by cost ascending (score ascending)
+ */
+const paretoFront = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.cost - b.cost || b.score - a.score);
+  const front = [];
+
+  sorted.forEach(entry => {
+    if (front.length === 0 || entry.score > front[front.length - 1].score) {
+      front.push(entry);
+    }
+  });
+
+  // Thin evenly if the front is too large, always keeping the highest score
+  if (front.length > MAX_FRONTIER_SIZE) {
+    const step = front.length / MAX_FRONTIER_SIZE;
+    const thinned = [];
+    for (let i = 0; i < MAX_FRONTIER_SIZE - 1; i++) {
+      thinned.push(front[Math.floor(i * step)]);
+    }
+    thinned.push(front[front.length - 1]);
+    return thinned;
+  }
+
+  return front;
+};
+
+/**
+ * Build a bill of materials from a list of picked matches
+ * @param {Array<Object>} picks - One match per category
+ * @returns {Object} Selection keyed by category with totals
+ */
+const toBillOfMaterials = (picks) => {
+  const selection = {};
+  picks.forEach(match => {
+    selection[match.product.category] = match;
+  });
+
+  return {
+    selection,
+    totalCost: picks.reduce((sum, match) => sum + getLineCost(match), 0),
+    totalScore: picks.reduce((sum, match) => sum + match.matchScore, 0)
+  };
+};
+
+/**
+ * Optimize the bill of materials for a project
+ * @param {Array} matchedProducts - Ranked matches from findMatchingProducts
+ * @param {Object} spec - Project specification
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @param {number} runnerUpCount - Number of runner-up sets to return (default 3)
+ * @returns {Object} Chosen set, runner-up sets, trade-offs and budget status
+ */
+export const optimizeBillOfMaterials = (
+  matchedProducts,
+  spec,
+  rules = businessRules,
+  runnerUpCount = 3
+) => {
+  const budgetLimit = spec.maxBudget
+    ? spec.maxBudget * rules.budget.budgetCushion
+    : Infinity;
+
+  // Group by category
+  const byCategory = {};
+  matchedProducts.forEach(match => {
+    const category = match.product.category;
+    if (!byCategory[category]) {
+      byCategory[category] = [];
+    }
+    byCategory[category].push(match);
+  });
+
+  const categories = spec.requiredCategories && spec.requiredCategories.length > 0
+    ? spec.requiredCategories
+    : Object.keys(byCategory);
+
+  const missingCategories = categories.filter(category => !byCategory[category]);
+  const tradeOffs = [];
+
+  // Candidate products per category: on-time products only, unless none are on time
+  const candidatesByCategory = {};
+  categories
+    .filter(category => byCategory[category])
+    .forEach(category => {
+      const onTime = byCategory[category].filter(match => match.meetsTimeline);
+
+      if (onTime.length === 0) {
+        tradeOffs.push({
+          category,
+          reason: 'timeline',
+          message: `No ${category} product meets the timeline; choosing among late products`
+        });
+      }
+
+      candidatesByCategory[category] = paretoFront(
+        (onTime.length > 0 ? onTime : byCategory[category]).map(match => ({
+          cost: getLineCost(match),
+          score: match.matchScore,
+          match
+        }))
+      );
+    });
+
+  // Multiple-choice knapsack over the cost/score Pareto frontier
+  let frontier = [{ cost: 0, score: 0, picks: [] }];
+  Object.keys(candidatesByCategory).forEach(category => {
+    const next = [];
+    frontier.forEach(partial => {
+      candidatesByCategory[category].forEach(candidate => {
+        const cost = partial.cost + candidate.cost;
+        if (cost <= budgetLimit) {
+          next.push({
+            cost,
+            score: partial.score + candidate.score,
+            picks: [...partial.picks, candidate.match]
+          });
+        }
+      });
+    });
+    frontier = paretoFront(next);
+  });
+
+  const withinBudget = frontier.length > 0;
+  let chosen;
+  let runnerUps = [];
+
+  if (withinBudget) {
+    // Highest score is last on the frontier; runner-ups trade score for cost
+    chosen = toBillOfMaterials(frontier[frontier.length - 1].picks);
+    runnerUps = frontier
+      .slice(0, -1)
+      .reverse()
+      .slice(0, runnerUpCount)
+      .map(entry => toBillOfMaterials(entry.picks));
+  } else {
+    // Nothing fits the budget: fall back to the cheapest set
+    chosen = toBillOfMaterials(
+      Object.values(candidatesByCategory).map(candidates => candidates[0].match)
+    );
+    tradeOffs.push({
+      category: null,
+      reason: 'budget',
+      message: `No combination fits within $${budgetLimit.toFixed(2)}; showing the lowest-cost set`
+    });
+  }
+
+  // Report where the budget forced a lower-scored product than the category's best
+  Object.entries(chosen.selection).forEach(([category, match]) => {
+    const candidates = candidatesByCategory[category];
+    const preferred = candidates[candidates.length - 1].match;
+
+    if (preferred !== match) {
+      const scoreLost = preferred.matchScore - match.matchScore;
+      const costSaved = getLineCost(preferred) - getLineCost(match);
+      tradeOffs.push({
+        category,
+        reason: 'budget',
+        preferred,
+        chosen: match,
+        scoreLost,
+        costSaved,
+        message: `${category}: chose ${match.product.productName} (${match.product.productId}) over ${preferred.product.productName} (${preferred.product.productId}) (-${scoreLost} score, saves $${costSaved.toFixed(2)})`
+      });
+    }
+  });
+
+  return {
+    ...chosen,
+    budgetLimit,
+    withinBudget,
+    runnerUps,
+    tradeOffs,
+    missingCategories
+  };
+};
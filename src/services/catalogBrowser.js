@@ -0,0 +1,231 @@
+/**
+ * Catalog Browser Service
+ * Applies FilterCriteria to the catalog, counts facet values and
+ * serializes filters to and from the URL query string
+ */
+
+import businessRules from '../config/businessRules.js';
+import { getCatalogIndex, queryCatalog, getProductSets, getProductWarehouses } from './catalogIndex.js';
+import {
+  filterByBudget,
+  filterByStock,
+  filterByLeadTime,
+  filterByEcoPreferences
+} from './productMatcher.js';
+
+// Facet value shown for products without a fire rating
+export const UNRATED = 'Unrated';
+
+/**
+ * Facets shown in the browser
+ * Values within a facet are OR-ed, except certifications, which a product
+ * must all have (as in requiredCertifications).
+ */
+export const FACETS = [
+  { id: 'categories', label: 'Category', getValues: product => [product.category] },
+  { id: 'manufacturers', label: 'Manufacturer', getValues: product => [product.manufacturer] },
+  {
+    id: 'requiredCertifications',
+    label: 'Certification',
+    getValues: product => [...getProductSets(product).certifications],
+    matchAll: true
+  },
+  {
+    id: 'warehouseLocations',
+    label: 'Warehouse State',
+    getValues: product => getProductWarehouses(product).map(warehouse => warehouse.location)
+  },
+  { id: 'fireRatings', label: 'Fire Rating', getValues: product => [product.fireRating || UNRATED] },
+  { id: 'installationDifficulties', label: 'Installation', getValues: product => [product.installationDifficulty] }
+];
+
+// URL parameter for each criterion
+const LIST_PARAMS = {
+  categories: 'category',
+  manufacturers: 'manufacturer',
+  requiredCertifications: 'cert',
+  warehouseLocations: 'warehouse',
+  fireRatings: 'fire',
+  installationDifficulties: 'install'
+};
+const NUMBER_PARAMS = {
+  minPrice: 'minPrice',
+  maxPrice: 'maxPrice',
+  maxLeadTime: 'maxLeadTime'
+};
+const BOOLEAN_PARAMS = {
+  inStockOnly: 'inStock',
+  ecoFriendlyOnly: 'eco'
+};
+const TEXT_PARAMS = {
+  location: 'location',
+  projectType: 'projectType'
+};
+
+/**
+ * Keep products with one of the selected values for a facet
+ * @param {Array} products - Products to filter
+ * @param {Object} facet - Facet from FACETS
+ * @param {string[]} selected - Selected values
+ * @returns {Array} Filtered products
+ */
+const filterByFacet = (products, facet, selected) => {
+  if (!selected || selected.length === 0) return products;
+
+  return products.filter(product => {
+    const values = facet.getValues(product);
+    return facet.matchAll
+      ? selected.every(value => values.includes(value))
+      : values.some(value => selected.includes(value));
+  });
+};
+
+/**
+ * Filter the catalog by FilterCriteria
+ * @param {Array} products - Catalog products
+ * @param {Object} criteria - Filter criteria (see FilterCriteria in types)
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Array} Matching products in catalog order
+ */
+export const filterProducts = (products, criteria, rules = businessRules) => {
+  let filtered = queryCatalog(getCatalogIndex(products), {
+    location: criteria.location,
+    projectType: criteria.projectType,
+    categories: criteria.categories,
+    certifications: criteria.requiredCertifications,
+    manufacturers: criteria.manufacturers
+  });
+
+  filtered = filterByBudget(filtered, criteria.maxPrice, 1);
+  if (criteria.minPrice) {
+    filtered = filtered.filter(product => product.price >= criteria.minPrice);
+  }
+  filtered = filterByStock(filtered, criteria.inStockOnly, rules.filtering.minStockQuantity);
+  filtered = filterByLeadTime(filtered, criteria.maxLeadTime);
+  if (criteria.ecoFriendlyOnly) {
+    filtered = filterByEcoPreferences(filtered, { ecoFriendly: true });
+  }
+
+  // Facets the catalog index doesn't cover
+  ['warehouseLocations', 'fireRatings', 'installationDifficulties'].forEach(id => {
+    filtered = filterByFacet(filtered, FACETS.find(facet => facet.id === id), criteria[id]);
+  });
+
+  return filtered;
+};
+
+/**
+ * Count products per facet value
+ * Each facet is counted with every other filter applied but its own, so the
+ * counts show what selecting another value would add. Certifications are
+ * counted within the current results, since selecting one narrows them.
+ * @param {Array} products - Catalog products
+ * @param {Object} criteria - Filter criteria
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Object<string, Array<{ value: string, count: number, selected: boolean }>>} Values per facet, by name
+ */
+export const getFacetCounts = (products, criteria, rules = businessRules) => {
+  const counts = {};
+
+  FACETS.forEach(facet => {
+    const selected = criteria[facet.id] || [];
+    const base = facet.matchAll
+      ? filterProducts(products, criteria, rules)
+      : filterProducts(products, { ...criteria, [facet.id]: [] }, rules);
+
+    const valueCounts = new Map(selected.map(value => [value, 0]));
+    base.forEach(product => {
+      facet.getValues(product).forEach(value => {
+        if (value) {
+          valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+        }
+      });
+    });
+
+    counts[facet.id] = [...valueCounts.entries()]
+      .map(([value, count]) => ({ value, count, selected: selected.includes(value) }))
+      .sort((a, b) => a.value.localeCompare(b.value));
+  });
+
+  return counts;
+};
+
+/**
+ * Get the price and lead time ranges of a catalog, for range sliders
+ * @param {Array} products - Catalog products
+ * @returns {{ price: { min: number, max: number }, leadTime: { min: number, max: number } }} Ranges
+ */
+export const getCatalogRanges = (products) => {
+  const ranges = {
+    price: { min: Infinity, max: 0 },
+    leadTime: { min: Infinity, max: 0 }
+  };
+
+  products.forEach(product => {
+    ranges.price.min = Math.min(ranges.price.min, product.price);
+    ranges.price.max = Math.max(ranges.price.max, product.price);
+    ranges.leadTime.min = Math.min(ranges.leadTime.min, product.leadTimeDays);
+    ranges.leadTime.max = Math.max(ranges.leadTime.max, product.leadTimeDays);
+  });
+
+  if (products.length === 0) {
+    ranges.price.min = 0;
+    ranges.leadTime.min = 0;
+  }
+  ranges.price.min = Math.floor(ranges.price.min);
+  ranges.price.max = Math.ceil(ranges.price.max);
+
+  return ranges;
+};
+
+/**
+ * Serialize filter criteria to a URL query string
+ * Empty criteria are left out.
+ * @param {Object} criteria - Filter criteria
+ * @returns {string} Query string without the leading "?"
+ */
+export const serializeFilterCriteria = (criteria) => {
+  const params = new URLSearchParams();
+
+  Object.entries(TEXT_PARAMS).forEach(([key, param]) => {
+    if (criteria[key]) params.set(param, criteria[key]);
+  });
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    (criteria[key] || []).forEach(value => params.append(param, value));
+  });
+  Object.entries(NUMBER_PARAMS).forEach(([key, param]) => {
+    if (criteria[key]) params.set(param, String(criteria[key]));
+  });
+  Object.entries(BOOLEAN_PARAMS).forEach(([key, param]) => {
+    if (criteria[key]) params.set(param, '1');
+  });
+
+  return params.toString();
+};
+
+/**
+ * Parse filter criteria from a URL query string
+ * Unknown parameters are ignored.
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object} Filter criteria
+ */
+export const parseFilterCriteria = (search) => {
+  const params = new URLSearchParams(search);
+  const criteria = {};
+
+  Object.entries(TEXT_PARAMS).forEach(([key, param]) => {
+    criteria[key] = params.get(param) || '';
+  });
+  Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+    criteria[key] = params.getAll(param);
+  });
+  Object.entries(NUMBER_PARAMS).forEach(([key, param]) => {
+    const value = parseFloat(params.get(param));
+    criteria[key] = value > 0 ? value : null;
+  });
+  Object.entries(BOOLEAN_PARAMS).forEach(([key, param]) => {
+    criteria[key] = params.get(param) === '1';
+  });
+
+  return criteria;
+};
@@ -0,0 +1,106 @@
+/**
+ * Catalog Diff
+ * Compares an incoming catalog with the loaded one so an import can be
+ * reviewed before it is accepted
+ */
+
+/**
+ * Split a semicolon-separated list into trimmed values
+ * @param {string} value - List value
+ * @returns {string[]} Values
+ */
+const splitList = (value) => (value || '')
+  .split(';')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Index products by ID
+ * @param {Array<Object>} products - Products
+ * @returns {Map<string, Object>} Products keyed by productId
+ */
+const indexById = (products) => new Map(products.map(product => [product.productId, product]));
+
+/**
+ * Compare two catalogs
+ * @param {Array<Object>} currentProducts - Loaded catalog
+ * @param {Array<Object>} incomingProducts - Catalog being imported
+ * @returns {Object} Diff with added, removed, priceChanges, stockChanges, newlyRestricted and summary
+ */
+export const diffCatalogs = (currentProducts, incomingProducts) => {
+  const current = indexById(currentProducts);
+  const incoming = indexById(incomingProducts);
+
+  const added = incomingProducts.filter(product => !current.has(product.productId));
+  const removed = currentProducts.filter(product => !incoming.has(product.productId));
+  const priceChanges = [];
+  const stockChanges = [];
+  const newlyRestricted = [];
+  let unchanged = 0;
+
+  incomingProducts.forEach(product => {
+    const previous = current.get(product.productId);
+    if (!previous) return;
+
+    let changed = false;
+
+    if (previous.price !== product.price) {
+      changed = true;
+      priceChanges.push({
+        productId: product.productId,
+        productName: product.productName,
+        oldPrice: previous.price,
+        newPrice: product.price,
+        change: product.price - previous.price,
+        changePercent: previous.price > 0
+          ? ((product.price - previous.price) / previous.price) * 100
+          : null
+      });
+    }
+
+    if (previous.stockQty !== product.stockQty) {
+      changed = true;
+      stockChanges.push({
+        productId: product.productId,
+        productName: product.productName,
+        oldStock: previous.stockQty,
+        newStock: product.stockQty,
+        change: product.stockQty - previous.stockQty
+      });
+    }
+
+    // Only new restrictions matter for review; lifted ones are harmless
+    const previousStates = splitList(previous.restrictedStates);
+    const states = splitList(product.restrictedStates).filter(state => !previousStates.includes(state));
+    if (states.length > 0) {
+      changed = true;
+      newlyRestricted.push({
+        productId: product.productId,
+        productName: product.productName,
+        states
+      });
+    }
+
+    if (!changed) {
+      unchanged++;
+    }
+  });
+
+  return {
+    added,
+    removed,
+    priceChanges,
+    stockChanges,
+    newlyRestricted,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      priceChanges: priceChanges.length,
+      stockChanges: stockChanges.length,
+      newlyRestricted: newlyRestricted.length,
+      unchanged,
+      hasChanges: added.length + removed.length + priceChanges.length +
+        stockChanges.length + newlyRestricted.length > 0
+    }
+  };
+};
@@ -0,0 +1,201 @@
+/**
+ * Catalog Index
+ * Parses list fields once per product and keeps inverted indexes so the
+ * matcher and dashboard can look products up instead of scanning and
+ * re-splitting the whole catalog on every call
+ */
+
+// Parsed list fields, cached per product object
+const parsedFieldsCache = new WeakMap();
+
+// Catalog indexes, cached per products array
+const catalogIndexCache = new WeakMap();
+
+/**
+ * Split a semicolon-separated list into a set of trimmed values
+ * @param {string} value - List value
+ * @returns {Set<string>} Values
+ */
+const toSet = (value) => new Set(
+  (value || '')
+    .split(';')
+    .map(item => item.trim())
+    .filter(item => item)
+);
+
+/**
+ * Get a product's list fields as sets
+ * Parsed once per product object and cached afterwards.
+ * @param {Object} product - Product
+ * @returns {{ restrictedStates: Set<string>, projectTypes: Set<string>, certifications: Set<string> }} Parsed fields
+ */
+export const getProductSets = (product) => {
+  let parsed = parsedFieldsCache.get(product);
+  if (!parsed) {
+    parsed = {
+      restrictedStates: toSet(product.restrictedStates),
+      projectTypes: toSet(product.applicableProjectTypes),
+      certifications: toSet(product.certifications)
+    };
+    parsedFieldsCache.set(product, parsed);
+  }
+  return parsed;
+};
+
+/**
+ * Get the warehouses a product is stocked in, primary first
+ * Products loaded without warehouse rows have a single warehouse from
+ * warehouseLocation, stockQty and leadTimeDays.
+ * @param {Object} product - Product
+ * @returns {Array<{ location: string, stockQty: number, leadTimeDays: number }>} Warehouses
+ */
+export const getProductWarehouses = (product) => (
+  product.warehouses && product.warehouses.length > 0
+    ? product.warehouses
+    : [{ location: product.warehouseLocation, stockQty: product.stockQty, leadTimeDays: product.leadTimeDays }]
+);
+
+/**
+ * Add a product to an inverted index
+ * @param {Map<string, Array>} index - Index to add to
+ * @param {string} key - Index key
+ * @param {Object} product - Product
+ */
+const addToIndex = (index, key, product) => {
+  if (!key) return;
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+  index.get(key).push(product);
+};
+
+/**
+ * Build a catalog index
+ * @param {Array<Object>} products - Validated catalog products
+ * @returns {Object} Catalog index
+ */
+export const buildCatalogIndex = (products) => {
+  const index = {
+    products,
+    byId: new Map(),
+    position: new Map(),
+    byCategory: new Map(),
+    byRestrictedState: new Map(),
+    byProjectType: new Map(),
+    byCertification: new Map(),
+    byManufacturer: new Map()
+  };
+
+  products.forEach((product, i) => {
+    const sets = getProductSets(product);
+
+    index.byId.set(product.productId, product);
+    index.position.set(product, i);
+    addToIndex(index.byCategory, product.category, product);
+    addToIndex(index.byManufacturer, product.manufacturer, product);
+    sets.restrictedStates.forEach(state => addToIndex(index.byRestrictedState, state, product));
+    sets.projectTypes.forEach(type => addToIndex(index.byProjectType, type, product));
+    sets.certifications.forEach(cert => addToIndex(index.byCertification, cert, product));
+  });
+
+  return index;
+};
+
+/**
+ * Get the index for a products array, building it on first use
+ * @param {Array<Object>} products - Catalog products
+ * @returns {Object} Catalog index
+ */
+export const getCatalogIndex = (products) => {
+  let index = catalogIndexCache.get(products);
+  if (!index) {
+    index = buildCatalogIndex(products);
+    catalogIndexCache.set(products, index);
+  }
+  return index;
+};
+
+/**
+ * Query a catalog index
+ * Starts from the smallest matching inverted-index list and checks the
+ * remaining criteria against each product's parsed sets.
+ * @param {Object} index - Catalog index
+ * @param {Object} criteria - Query criteria
+ * @param {string} criteria.location - Exclude products restricted in this state
+ * @param {string} criteria.projectType - Only products applicable to this project type
+ * @param {string[]} criteria.categories - Only products in these categories
+ * @param {string[]} criteria.certifications - Required certifications
+ * @param {boolean} criteria.strictCertifications - Require all certifications (default true); otherwise any one
+ * @param {string[]} criteria.manufacturers - Only products from these manufacturers
+ * @param {string[]} criteria.excludedManufacturers - Leave out products from these manufacturers
+ * @returns {Array<Object>} Matching products in catalog order
+ */
+export const queryCatalog = (index, {
+  location,
+  projectType,
+  categories,
+  certifications,
+  strictCertifications = true,
+  manufacturers,
+  excludedManufacturers
+} = {}) => {
+  const union = (map, keys) => keys.flatMap(key => map.get(key) || []);
+  const candidateLists = [];
+
+  if (categories && categories.length > 0) {
+    candidateLists.push(union(index.byCategory, categories));
+  }
+  if (projectType) {
+    candidateLists.push(index.byProjectType.get(projectType) || []);
+  }
+  if (manufacturers && manufacturers.length > 0) {
+    candidateLists.push(union(index.byManufacturer, manufacturers));
+  }
+  if (certifications && certifications.length > 0 && strictCertifications) {
+    candidateLists.push(index.byCertification.get(certifications[0]) || []);
+  }
+
+  const candidates = candidateLists.length > 0
+    ? candidateLists.reduce((smallest, list) => (list.length < smallest.length ? list : smallest))
+    : index.products;
+
+  const matches = candidates.filter(product => {
+    const sets = getProductSets(product);
+
+    if (location && sets.restrictedStates.has(location)) return false;
+    if (projectType && !sets.projectTypes.has(projectType)) return false;
+    if (categories && categories.length > 0 && !categories.includes(product.category)) return false;
+    if (manufacturers && manufacturers.length > 0 && !manufacturers.includes(product.manufacturer)) return false;
+    if (excludedManufacturers && excludedManufacturers.includes(product.manufacturer)) return false;
+    if (certifications && certifications.length > 0) {
+      const hasCerts = strictCertifications
+        ? certifications.every(cert => sets.certifications.has(cert))
+        : certifications.some(cert => sets.certifications.has(cert));
+      if (!hasCerts) return false;
+    }
+    return true;
+  });
+
+  // Union lists are grouped by key; keep results in catalog order
+  if (candidates !== index.products) {
+    matches.sort((a, b) => index.position.get(a) - index.position.get(b));
+  }
+
+  return matches;
+};
+
+/**
+ * Get the manufacturers present in a catalog, sorted by name
+ * @param {Object} index - Catalog index
+ * @returns {string[]} Manufacturer names
+ */
+export const getManufacturers = (index) => [...index.byManufacturer.keys()].sort();
+
+/**
+ * Index product matches by product ID
+ * @param {Array<Object>} matches - Product matches
+ * @returns {Map<string, Object>} Matches keyed by productId
+ */
+export const indexMatchesById = (matches) => new Map(
+  matches.map(match => [match.product.productId, match])
+);
@@ -0,0 +1,233 @@
+/**
+ * Delivery Calendar
+ * Counts lead time and transit in business days, skipping weekends and
+ * US federal and company holidays, and adds the safety buffer so delivery
+ * estimates are not optimistic
+ *
+ * Dates are handled in UTC: specification dates come from date inputs
+ * ("2025-11-01"), which parse as UTC midnight.
+ */
+
+import businessRules from '../config/businessRules.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Calendars, cached per timeline rules object
+const calendarCache = new WeakMap();
+
+/**
+ * Format a date as a YYYY-MM-DD key
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Get the nth weekday of a month (n = -1 for the last)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of the week (0 = Sunday)
+ * @param {number} n - Occurrence (1-based, or -1 for the last)
+ * @returns {Date} Date (UTC midnight)
+ */
+const nthWeekday = (year, month, weekday, n) => {
+  if (n === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+    return last;
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  first.setUTCDate(1 + ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+  return first;
+};
+
+/**
+ * Move a fixed-date holiday that falls on a weekend to the observed weekday
+ * (Saturday to Friday, Sunday to Monday)
+ * @param {Date} date - Holiday date
+ * @returns {Date} Observed date
+ */
+const observed = (date) => {
+  const day = date.getUTCDay();
+  if (day === 6) return new Date(date.getTime() - DAY_MS);
+  if (day === 0) return new Date(date.getTime() + DAY_MS);
+  return date;
+};
+
+/**
+ * Get the observed US federal holidays for a year
+ * @param {number} year - Year
+ * @returns {Array<{ date: string, name: string }>} Holidays (YYYY-MM-DD)
+ */
+export const getFederalHolidays = (year) => [
+  { date: observed(new Date(Date.UTC(year, 0, 1))), name: "New Year's Day" },
+  { date: nthWeekday(year, 0, 1, 3), name: 'Martin Luther King Jr. Day' },
+  { date: nthWeekday(year, 1, 1, 3), name: "Washington's Birthday" },
+  { date: nthWeekday(year, 4, 1, -1), name: 'Memorial Day' },
+  { date: observed(new Date(Date.UTC(year, 5, 19))), name: 'Juneteenth' },
+  { date: observed(new Date(Date.UTC(year, 6, 4))), name: 'Independence Day' },
+  { date: nthWeekday(year, 8, 1, 1), name: 'Labor Day' },
+  { date: nthWeekday(year, 9, 1, 2), name: 'Columbus Day' },
+  { date: observed(new Date(Date.UTC(year, 10, 11))), name: 'Veterans Day' },
+  { date: nthWeekday(year, 10, 4, 4), name: 'Thanksgiving Day' },
+  { date: observed(new Date(Date.UTC(year, 11, 25))), name: 'Christmas Day' }
+].map(holiday => ({ date: toDateKey(holiday.date), name: holiday.name }));
+
+/**
+ * Get the shipping calendar for a set of timeline rules
+ * @param {Object} timelineRules - rules.timeline
+ * @returns {Object} Calendar ({ holidayName(date), isBusinessDay(date), cache })
+ */
+const getCalendar = (timelineRules) => {
+  let calendar = calendarCache.get(timelineRules);
+  if (calendar) return calendar;
+
+  const holidaysByYear = new Map();
+  const getHolidays = (year) => {
+    if (!holidaysByYear.has(year)) {
+      const holidays = new Map();
+      if (timelineRules.federalHolidays) {
+        getFederalHolidays(year).forEach(holiday => holidays.set(holiday.date, holiday.name));
+      }
+      // Company holidays are "MM-DD" (every year) or "YYYY-MM-DD" (once)
+      (timelineRules.companyHolidays || []).forEach(holiday => {
+        const date = holiday.date.length === 5 ? `${year}-${holiday.date}` : holiday.date;
+        if (date.startsWith(String(year))) {
+          holidays.set(date, holiday.name);
+        }
+      });
+      holidaysByYear.set(year, holidays);
+    }
+    return holidaysByYear.get(year);
+  };
+
+  const holidayName = (date) => getHolidays(date.getUTCFullYear()).get(toDateKey(date)) || null;
+
+  calendar = {
+    holidayName,
+    isBusinessDay: (date) => {
+      const day = date.getUTCDay();
+      return day !== 0 && day !== 6 && !holidayName(date);
+    },
+    // Delivery dates keyed by order date and business days
+    cache: new Map()
+  };
+  calendarCache.set(timelineRules, calendar);
+  return calendar;
+};
+
+/**
+ * Add business days to a date
+ * Days are counted from the day after the start; a result that would land
+ * on a weekend or holiday moves to the next business day.
+ * @param {Date} start - Start date
+ * @param {number} days - Business days to add
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {{ date: Date, weekendDays: number, holidays: Array<{ date: string, name: string }> }} End date and the days skipped
+ */
+export const addBusinessDays = (start, days, rules = businessRules) => {
+  const calendar = getCalendar(rules.timeline);
+  const key = `${start.getTime()}|${days}`;
+  if (calendar.cache.has(key)) return calendar.cache.get(key);
+
+  const date = new Date(start.getTime());
+  let remaining = days;
+  let weekendDays = 0;
+  const holidays = [];
+
+  while (remaining > 0 || !calendar.isBusinessDay(date)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    const day = date.getUTCDay();
+    const holiday = calendar.holidayName(date);
+
+    if (day === 0 || day === 6) {
+      weekendDays++;
+    } else if (holiday) {
+      holidays.push({ date: toDateKey(date), name: holiday });
+    } else {
+      remaining--;
+    }
+  }
+
+  const result = { date, weekendDays, holidays };
+  calendar.cache.set(key, result);
+  return result;
+};
+
+/**
+ * Estimate a delivery date
+ * With timeline.businessDaysOnly, lead time, transit and the safety buffer
+ * are business days; otherwise they are calendar days plus the flat
+ * timeline.weekendAdjustment.
+ * @param {Date|string} orderDate - Order date
+ * @param {number} leadTimeDays - Supplier lead time
+ * @param {number} transitDays - Shipping transit time
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {{ estimatedDelivery: Date, calendarDays: number, assumptions: Object }} Delivery estimate and the calendar assumptions used
+ */
+export const calculateDeliveryDate = (orderDate, leadTimeDays, transitDays, rules = businessRules) => {
+  const timeline = rules.timeline;
+
+  // Count from the start of the order day (today if the date is missing or
+  // invalid); saved projects store dates as strings
+  const parsed = orderDate ? new Date(orderDate) : null;
+  const ordered = parsed && !Number.isNaN(parsed.getTime()) ? parsed : new Date();
+  const start = new Date(Date.UTC(ordered.getUTCFullYear(), ordered.getUTCMonth(), ordered.getUTCDate()));
+  const safetyBufferDays = timeline.safetyBufferDays || 0;
+  const workingDays = leadTimeDays + transitDays + safetyBufferDays;
+
+  let estimatedDelivery;
+  let assumptions;
+
+  if (timeline.businessDaysOnly) {
+    const { date, weekendDays, holidays } = addBusinessDays(start, workingDays, rules);
+    estimatedDelivery = new Date(date.getTime());
+    assumptions = {
+      businessDaysOnly: true,
+      leadTimeDays,
+      transitDays,
+      safetyBufferDays,
+      businessDays: workingDays,
+      weekendDaysSkipped: weekendDays,
+      holidaysSkipped: holidays,
+      weekendAdjustment: 0
+    };
+  } else {
+    const weekendAdjustment = timeline.weekendAdjustment || 0;
+    estimatedDelivery = new Date(start.getTime());
+    estimatedDelivery.setUTCDate(estimatedDelivery.getUTCDate() + workingDays + weekendAdjustment);
+    assumptions = {
+      businessDaysOnly: false,
+      leadTimeDays,
+      transitDays,
+      safetyBufferDays,
+      businessDays: null,
+      weekendDaysSkipped: 0,
+      holidaysSkipped: [],
+      weekendAdjustment
+    };
+  }
+
+  return {
+    estimatedDelivery,
+    calendarDays: Math.round((estimatedDelivery - start) / DAY_MS),
+    assumptions
+  };
+};
+
+/**
+ * Describe delivery assumptions in one line
+ * @param {Object} assumptions - Assumptions from calculateDeliveryDate
+ * @returns {string} Description, e.g. "5 lead + 3 transit + 7 buffer business days; skips 4 weekend days, Thanksgiving Day"
+ */
+export const describeDeliveryAssumptions = (assumptions) => {
+  const counted = `${assumptions.leadTimeDays} lead + ${assumptions.transitDays} transit + ${assumptions.safetyBufferDays} buffer`;
+
+  if (!assumptions.businessDaysOnly) {
+    return `${counted} calendar days + ${assumptions.weekendAdjustment} weekend adjustment`;
+  }
+
+  const skipped = [`${assumptions.weekendDaysSkipped} weekend days`,
+    ...assumptions.holidaysSkipped.map(holiday => holiday.name)];
+  return `${counted} business days; skips ${skipped.join(', ')}`;
+};
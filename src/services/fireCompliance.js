@@ -0,0 +1,77 @@
+/**
+ * Fire Rating Compliance
+ * Works out the minimum fire rating each product category needs for a
+ * project, from state and project-type code defaults plus the specification
+ */
+
+import businessRules from '../config/businessRules.js';
+import { FIRE_RATINGS } from '../types/productSchema.js';
+
+/**
+ * Rank a fire rating (higher is more fire resistant)
+ * @param {string} rating - Fire rating ('Class A', 'Class B' or 'Class C')
+ * @returns {number} Rank, or 0 for unrated/unknown
+ */
+export const getFireRatingRank = (rating) => {
+  const index = FIRE_RATINGS.indexOf(rating);
+  return index === -1 ? 0 : FIRE_RATINGS.length - index;
+};
+
+/**
+ * Check whether a product meets a minimum fire rating
+ * @param {Object} product - Product to check
+ * @param {string} minRating - Minimum fire rating
+ * @returns {boolean} True if the product's rating is at least minRating
+ */
+export const meetsFireRating = (product, minRating) => (
+  !minRating || getFireRatingRank(product.fireRating) >= getFireRatingRank(minRating)
+);
+
+/**
+ * Get the minimum fire rating per category for a project
+ * State and project-type defaults from rules.compliance are code minimums:
+ * the specification can only make them stricter.
+ * @param {Object} spec - Project specification (location, projectType, minFireRatings)
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Object<string, { minRating: string, sources: string[], codeMinimum: string|null, specifiedRating: string|null }>} Requirements keyed by category
+ */
+export const getFireRatingRequirements = (spec, rules = businessRules) => {
+  const compliance = rules.compliance || {};
+  const requirements = {};
+
+  const apply = (ratings, source, isCode) => {
+    Object.entries(ratings || {}).forEach(([category, rating]) => {
+      if (!rating) return;
+
+      const requirement = requirements[category] || {
+        minRating: null,
+        sources: [],
+        codeMinimum: null,
+        specifiedRating: null
+      };
+
+      if (isCode) {
+        if (getFireRatingRank(rating) > getFireRatingRank(requirement.codeMinimum)) {
+          requirement.codeMinimum = rating;
+        }
+      } else {
+        requirement.specifiedRating = rating;
+      }
+
+      if (getFireRatingRank(rating) > getFireRatingRank(requirement.minRating)) {
+        requirement.minRating = rating;
+        requirement.sources = [source];
+      } else if (rating === requirement.minRating) {
+        requirement.sources.push(source);
+      }
+
+      requirements[category] = requirement;
+    });
+  };
+
+  apply((compliance.stateFireRatings || {})[spec.location], `${spec.location} code`, true);
+  apply((compliance.projectTypeFireRatings || {})[spec.projectType], `${spec.projectType} projects`, true);
+  apply(spec.minFireRatings, 'project specification', false);
+
+  return requirements;
+};
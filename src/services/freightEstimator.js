@@ -0,0 +1,194 @@
+/**
+ * Freight Estimator
+ * Prices shipments from product weight and dimensions: dimensional weight,
+ * parcel / LTL / full truckload assignment and distance-based rates from
+ * the freight rules in config/businessRules.js
+ */
+
+import businessRules from '../config/businessRules.js';
+import { getShipmentDistance } from './transitEstimator.js';
+
+// Display labels for freight modes
+export const FREIGHT_MODES = {
+  parcel: 'Parcel',
+  ltl: 'LTL',
+  ftl: 'Full Truckload'
+};
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Dollar amount
+ * @returns {number} Amount rounded to 2 decimals
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Round a weight to a tenth of a pound
+ * @param {number} pounds - Weight
+ * @returns {number} Rounded weight
+ */
+const roundWeight = (pounds) => Math.round(pounds * 10) / 10;
+
+/**
+ * Parse product dimensions
+ * @param {string} dimensions - "LxWxH" in inches (e.g. "96x3.5x1.5")
+ * @returns {{ length: number, width: number, height: number }|null} Dimensions, or null when missing or malformed
+ */
+export const parseDimensions = (dimensions) => {
+  const match = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/.exec(String(dimensions || '').trim());
+  if (!match) return null;
+
+  const [length, width, height] = match.slice(1).map(Number);
+  return { length, width, height };
+};
+
+/**
+ * Get the dimensional weight of one unit of a product
+ * @param {Object} product - Product
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {number} Dimensional weight in pounds (0 without dimensions)
+ */
+export const getDimensionalWeight = (product, rules = businessRules) => {
+  const dims = parseDimensions(product.dimensions);
+  if (!dims) return 0;
+  return (dims.length * dims.width * dims.height) / rules.freight.dimDivisor;
+};
+
+/**
+ * Price a shipment
+ * @param {string} mode - Freight mode
+ * @param {number} billableWeight - Billable weight in pounds
+ * @param {number} roadMiles - Road miles
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {{ cost: number, trucks: number }} Freight cost and trucks used (0 unless full truckload)
+ */
+const priceShipment = (mode, billableWeight, roadMiles, rules) => {
+  const { parcel, ltl, ftl } = rules.freight;
+  const hundreds = roadMiles / 100;
+
+  if (mode === 'parcel') {
+    return {
+      cost: parcel.baseRate + billableWeight * (parcel.perPound + parcel.perPoundPer100Miles * hundreds),
+      trucks: 0
+    };
+  }
+
+  if (mode === 'ltl') {
+    const hundredweight = billableWeight / 100;
+    return {
+      cost: Math.max(
+        ltl.minimumCharge,
+        hundredweight * (ltl.perHundredweight + ltl.perHundredweightPer100Miles * hundreds)
+      ),
+      trucks: 0
+    };
+  }
+
+  const trucks = Math.ceil(billableWeight / ftl.truckCapacity);
+  return {
+    cost: trucks * Math.max(ftl.minimumCharge, roadMiles * ftl.perMile),
+    trucks
+  };
+};
+
+/**
+ * Choose the freight mode for a shipment
+ * Parcel and LTL only take shipments up to their maxWeight; of the modes
+ * that can take the shipment, the cheapest wins (a heavy LTL shipment can
+ * cost more than a truck).
+ * @param {number} billableWeight - Billable weight in pounds
+ * @param {number} roadMiles - Road miles
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {{ mode: string, cost: number, trucks: number }} Freight mode ('parcel', 'ltl' or 'ftl') and its price
+ */
+export const chooseFreightMode = (billableWeight, roadMiles, rules = businessRules) => {
+  const modes = ['ftl'];
+  if (billableWeight <= rules.freight.ltl.maxWeight) modes.unshift('ltl');
+  if (billableWeight <= rules.freight.parcel.maxWeight) modes.unshift('parcel');
+
+  return modes
+    .map(mode => ({ mode, ...priceShipment(mode, billableWeight, roadMiles, rules) }))
+    .reduce((best, option) => (option.cost < best.cost ? option : best));
+};
+
+/**
+ * Warehouse an item ships from
+ * @param {{ product: Object, warehouseLocation: string }} item - Item (warehouseLocation set when allocated)
+ * @returns {string} Warehouse state code
+ */
+const getItemWarehouse = (item) => item.warehouseLocation || item.product.warehouseLocation;
+
+/**
+ * Estimate freight for one shipment from a single warehouse
+ * Billable weight is the larger of actual and dimensional weight.
+ * @param {Array<{ product: Object, quantity: number, warehouseLocation: string }>} items - Items shipped together (warehouseLocation defaults to the product's)
+ * @param {Object} destination - Jobsite ({ state, zipCode })
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Object} Shipment estimate (see FreightShipment in types)
+ */
+export const estimateShipmentFreight = (items, destination, rules = businessRules) => {
+  const warehouseLocation = items.length > 0 ? getItemWarehouse(items[0]) : null;
+
+  let actualWeight = 0;
+  let dimensionalWeight = 0;
+  items.forEach(({ product, quantity }) => {
+    actualWeight += (product.weight || 0) * quantity;
+    dimensionalWeight += getDimensionalWeight(product, rules) * quantity;
+  });
+  const billableWeight = roundWeight(Math.max(actualWeight, dimensionalWeight));
+
+  const distance = getShipmentDistance({
+    warehouseState: warehouseLocation,
+    destinationState: destination.state,
+    zipCode: destination.zipCode
+  });
+  const distanceMiles = distance ? distance.miles : rules.freight.defaultDistanceMiles;
+  const roadMiles = distanceMiles * rules.transit.circuityFactor;
+
+  const { mode, cost, trucks } = chooseFreightMode(billableWeight, roadMiles, rules);
+
+  return {
+    warehouseLocation,
+    items: items.map(({ product, quantity }) => ({ productId: product.productId, quantity })),
+    actualWeight: roundWeight(actualWeight),
+    dimensionalWeight: roundWeight(dimensionalWeight),
+    billableWeight,
+    mode,
+    modeLabel: FREIGHT_MODES[mode],
+    trucks,
+    distanceMiles,
+    cost: roundCurrency(cost)
+  };
+};
+
+/**
+ * Estimate freight for an order
+ * Items ship from their allocated warehouse (or their product's), one
+ * shipment per warehouse.
+ * @param {Array<{ product: Object, quantity: number, warehouseLocation: string }>} items - Ordered items
+ * @param {Object} destination - Jobsite ({ state, zipCode })
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {{ shipments: Array<Object>, billableWeight: number, cost: number }} Shipments and totals
+ */
+export const estimateFreight = (items, destination, rules = businessRules) => {
+  const byWarehouse = new Map();
+  items
+    .filter(item => item.quantity > 0)
+    .forEach(item => {
+      const warehouse = getItemWarehouse(item);
+      if (!byWarehouse.has(warehouse)) {
+        byWarehouse.set(warehouse, []);
+      }
+      byWarehouse.get(warehouse).push(item);
+    });
+
+  const shipments = [...byWarehouse.values()].map(group =>
+    estimateShipmentFreight(group, destination, rules)
+  );
+
+  return {
+    shipments,
+    billableWeight: roundWeight(shipments.reduce((sum, s) => sum + s.billableWeight, 0)),
+    cost: roundCurrency(shipments.reduce((sum, s) => sum + s.cost, 0))
+  };
+};
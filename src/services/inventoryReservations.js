@@ -0,0 +1,195 @@
+/**
+ * Inventory Reservations
+ * Ordered quantities in saved projects reserve catalog stock, so two
+ * projects can't both count on the same units. Reservations are honored
+ * first come, first served and lapse rules.reservations.holdDays after the
+ * project was last saved.
+ */
+
+import businessRules from '../config/businessRules.js';
+import { getProductWarehouses } from './catalogIndex.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Check whether a reservation still holds stock
+ * @param {Object} reservation - Reservation
+ * @param {Date} now - Current time (default: now)
+ * @returns {boolean} True until the reservation expires
+ */
+export const isReservationActive = (reservation, now = new Date()) => (
+  new Date(reservation.expiresAt) > now
+);
+
+/**
+ * Build the reservation for a saved project
+ * Each item keeps its place in line (reservedAt) while the previous
+ * reservation is active and the quantity doesn't grow; saving renews the
+ * expiry.
+ * @param {Object} project - Saved project ({ id, name, orderedProducts })
+ * @param {Object} options - Options
+ * @param {string} options.reservedBy - Username of the rep saving the project
+ * @param {Object} options.previous - The project's stored reservation, if any
+ * @param {Object} options.rules - Business rules (default: config/businessRules.js)
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Object} Reservation (see Reservation in types)
+ */
+export const createReservation = (project, {
+  reservedBy = '',
+  previous = null,
+  rules = businessRules,
+  now = new Date()
+} = {}) => {
+  const kept = previous && isReservationActive(previous, now) ? previous.items : {};
+  const items = {};
+
+  Object.entries(project.orderedProducts || {}).forEach(([productId, ordered]) => {
+    const quantity = ordered.quantityOrdered || 0;
+    if (quantity <= 0) return;
+
+    const previousItem = kept[productId];
+    items[productId] = {
+      quantity,
+      reservedAt: previousItem && previousItem.quantity >= quantity
+        ? previousItem.reservedAt
+        : now.toISOString()
+    };
+  });
+
+  return {
+    projectId: project.id,
+    projectName: project.name,
+    reservedBy,
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + rules.reservations.holdDays * DAY_MS).toISOString(),
+    items
+  };
+};
+
+/**
+ * Check whether another project's reserved item is served before a project's own
+ * @param {Object} item - Other project's reserved item ({ quantity, reservedAt })
+ * @param {Object} ownItem - Project's own reserved item (null when it holds none)
+ * @returns {boolean} True when the item comes first
+ */
+const comesBefore = (item, ownItem) => !ownItem || item.reservedAt < ownItem.reservedAt;
+
+/**
+ * Total the active reservations per product that come ahead of a project
+ * For a product the project holds a reservation on, only earlier
+ * reservations come ahead of it; otherwise (or without a project) every
+ * active reservation does.
+ * @param {Object} reservations - projectId -> reservation
+ * @param {Object} options - Options
+ * @param {string} options.projectId - Project to count for; its own reservation is left out (default: none)
+ * @param {Date} options.now - Current time (default: now)
+ * @returns {Map<string, number>} productId -> reserved quantity
+ */
+export const getReservedQuantities = (reservations, { projectId = null, now = new Date() } = {}) => {
+  const own = reservations[projectId];
+  const ownItems = own && isReservationActive(own, now) ? own.items : {};
+  const reserved = new Map();
+
+  Object.values(reservations)
+    .filter(reservation => reservation.projectId !== projectId && isReservationActive(reservation, now))
+    .forEach(reservation => {
+      Object.entries(reservation.items)
+        .filter(([productId, item]) => comesBefore(item, ownItems[productId]))
+        .forEach(([productId, item]) => {
+          reserved.set(productId, (reserved.get(productId) || 0) + item.quantity);
+        });
+    });
+
+  return reserved;
+};
+
+/**
+ * Get the stock that isn't reserved
+ * @param {Object} product - Product
+ * @param {Map<string, number>} reserved - Reserved quantities from getReservedQuantities
+ * @returns {number} Available to promise
+ */
+export const getAvailableToPromise = (product, reserved) => (
+  Math.max(0, product.stockQty - (reserved.get(product.productId) || 0))
+);
+
+/**
+ * Take reserved units out of a product's stock
+ * Reserved units come out of the primary warehouse first.
+ * @param {Object} product - Product
+ * @param {Map<string, number>} reserved - Reserved quantities from getReservedQuantities
+ * @returns {Object} Product with stockQty and warehouses at available to promise, and reservedQty held
+ */
+export const applyReservations = (product, reserved) => {
+  const reservedQty = Math.min(reserved.get(product.productId) || 0, product.stockQty);
+  if (reservedQty === 0) return product;
+
+  let remaining = reservedQty;
+
+  const warehouses = getProductWarehouses(product).map(warehouse => {
+    const taken = Math.min(remaining, warehouse.stockQty);
+    remaining -= taken;
+    return { ...warehouse, stockQty: warehouse.stockQty - taken };
+  });
+
+  return {
+    ...product,
+    stockQty: product.stockQty - reservedQty,
+    reservedQty,
+    warehouses
+  };
+};
+
+/**
+ * Find the ordered quantities a project's reservation can't honor
+ * Reservations ahead of the project's own (all other active ones, for
+ * quantities it hasn't reserved yet) are served from stock first.
+ * @param {string} projectId - Project ID (null for an unsaved project)
+ * @param {Object} orderedProducts - productId -> { quantityNeeded, quantityOrdered }
+ * @param {Map<string, Object>} productsById - Products by productId, with or without applyReservations
+ * @param {Object} reservations - projectId -> reservation
+ * @param {Date} now - Current time (default: now)
+ * @returns {Array<{ type: string, productId: string|null, message: string }>} Warnings ('expired' or 'shortfall')
+ */
+export const checkReservations = (projectId, orderedProducts, productsById, reservations, now = new Date()) => {
+  const warnings = [];
+  const own = reservations[projectId];
+  const ownActive = own && isReservationActive(own, now);
+
+  if (own && !ownActive) {
+    warnings.push({
+      type: 'expired',
+      productId: null,
+      message: `Stock reservation expired ${new Date(own.expiresAt).toLocaleDateString()}; save the project to reserve again`
+    });
+  }
+
+  Object.entries(orderedProducts).forEach(([productId, ordered]) => {
+    const quantity = ordered.quantityOrdered || 0;
+    const product = productsById.get(productId);
+    if (quantity <= 0 || !product) return;
+
+    const ownItem = ownActive && own.items[productId] && own.items[productId].quantity >= quantity
+      ? own.items[productId]
+      : null;
+    const ahead = Object.values(reservations).filter(reservation => {
+      const item = reservation.items[productId];
+      return reservation.projectId !== projectId && item && isReservationActive(reservation, now) &&
+        comesBefore(item, ownItem);
+    });
+    const onHand = product.stockQty + (product.reservedQty || 0);
+    const heldByOthers = ahead.reduce((sum, reservation) => sum + reservation.items[productId].quantity, 0);
+    const honored = Math.max(0, Math.min(quantity, onHand - heldByOthers));
+
+    // Stock that is simply short is flagged by the stock check instead
+    if (honored < Math.min(quantity, onHand)) {
+      warnings.push({
+        type: 'shortfall',
+        productId,
+        message: `${product.productName}: only ${honored} of ${quantity} ${product.unit} can be reserved; ${heldByOthers} held by ${ahead.map(r => r.projectName).join(', ')}`
+      });
+    }
+  });
+
+  return warnings;
+};
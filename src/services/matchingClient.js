@@ -0,0 +1,196 @@
+/**
+ * Matching Client
+ * Promise-based API over the matching worker. Only one analysis runs at a
+ * time; starting a new one or calling cancel() stops the current one.
+ */
+
+import businessRules from '../config/businessRules.js';
+import { findMatchingProducts, analyzeProject } from './productMatcher.js';
+import { getScoringCriteria } from './scoringCriteria.js';
+
+/**
+ * Create the error used to reject cancelled analyses
+ * @returns {Error} Cancellation error
+ */
+const createCancelledError = () => {
+  const error = new Error('Matching was cancelled');
+  error.name = 'MatchingCancelledError';
+  return error;
+};
+
+/**
+ * Check whether an error came from a cancelled analysis
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the analysis was cancelled
+ */
+export const isCancelledError = (error) => !!error && error.name === 'MatchingCancelledError';
+
+/**
+ * Copy a value without its functions, which can't be posted to a worker
+ * @param {*} value - Value to copy
+ * @returns {*} Copy without function properties
+ */
+const withoutFunctions = (value) => {
+  if (Array.isArray(value)) return value.map(withoutFunctions);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([, v]) => typeof v !== 'function')
+    .map(([key, v]) => [key, withoutFunctions(v)]));
+};
+
+/**
+ * Prepare business rules for the worker
+ * The worker merges them onto config/businessRules.js, so its custom hooks
+ * are always the configured ones; replaced hooks are reported.
+ * @param {Object} rules - Business rules
+ * @returns {Object} Rules without functions
+ */
+const toWorkerRules = (rules) => {
+  const replacedHooks = Object.keys(rules.custom || {})
+    .filter(key => typeof rules.custom[key] === 'function' && rules.custom[key] !== businessRules.custom[key]);
+  if (replacedHooks.length > 0) {
+    console.warn(`Custom rule functions can't run in the matching worker, using config/businessRules.js for: ${replacedHooks.join(', ')}`);
+  }
+
+  return withoutFunctions(rules);
+};
+
+/**
+ * Warn about scoring criteria the worker didn't run
+ * Criteria registered at runtime live in the registry of the thread that
+ * registered them, so ones registered from the app never score in the
+ * worker.
+ * @param {Object} rules - Business rules the analysis used
+ * @param {Array<string>} workerCriteria - IDs of the criteria the worker ran
+ */
+const warnMissingCriteria = (rules, workerCriteria = []) => {
+  const missing = getScoringCriteria(rules.scoringPipeline)
+    .map(criterion => criterion.id)
+    .filter(id => !workerCriteria.includes(id));
+
+  if (missing.length > 0) {
+    console.warn(`Scoring criteria registered outside the matching worker were not run: ${missing.join(', ')}. Add them to customCriteria in config/businessRules.js.`);
+  }
+};
+
+/**
+ * Create a matching client
+ * Falls back to matching on the main thread where Web Workers are unavailable.
+ * @returns {{ setCatalog: Function, analyze: Function, cancel: Function, terminate: Function }} Client
+ */
+export const createMatchingClient = () => {
+  let worker = null;
+  let catalog = [];
+  let pending = null;
+  let nextRequestId = 1;
+
+  const handleMessage = ({ data }) => {
+    if (!pending || data.requestId !== pending.requestId) return;
+
+    switch (data.type) {
+      case 'progress':
+        if (pending.onProgress) {
+          pending.onProgress(data.progress);
+        }
+        break;
+      case 'result':
+        warnMissingCriteria(pending.rules, data.criteria);
+        pending.resolve(data.analysis);
+        pending = null;
+        break;
+      case 'error':
+        pending.reject(new Error(data.message));
+        pending = null;
+        break;
+      default:
+        break;
+    }
+  };
+
+  const startWorker = () => {
+    worker = new Worker(new URL('../workers/matchingWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      if (pending) {
+        pending.reject(new Error(event.message || 'Matching worker failed'));
+        pending = null;
+      }
+    };
+    worker.postMessage({ type: 'setCatalog', products: catalog });
+  };
+
+  /**
+   * Set the products to match against
+   * @param {Array<Object>} products - Catalog products
+   */
+  const setCatalog = (products) => {
+    catalog = products;
+    if (worker) {
+      worker.postMessage({ type: 'setCatalog', products });
+    }
+  };
+
+  /**
+   * Cancel the running analysis, if any
+   * The worker is terminated, since a synchronous matching run can't be
+   * interrupted; a new one is started on the next analyze().
+   */
+  const cancel = () => {
+    if (!pending) return;
+
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    pending.reject(createCancelledError());
+    pending = null;
+  };
+
+  /**
+   * Find matching products and analyze the project
+   * @param {Object} spec - Project specification
+   * @param {Object} options - Analysis options
+   * @param {Function} options.onProgress - Called with ({ stage, completed, total }); stage is 'filtering', 'scoring' or 'analyzing'
+   * @param {Object} options.rules - Business rules (default: config/businessRules.js)
+   * @param {Map<string, number>} options.reserved - Stock reserved ahead of this project (see getReservedQuantities)
+   * @returns {Promise<Object>} Project analysis (same shape as analyzeProject)
+   */
+  const analyze = (spec, { onProgress, rules = businessRules, reserved } = {}) => {
+    cancel();
+
+    if (typeof Worker === 'undefined') {
+      return new Promise((resolve, reject) => {
+        try {
+          const matches = findMatchingProducts(catalog, spec, rules, { onProgress, reserved });
+          resolve(analyzeProject(matches, spec, rules));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    }
+
+    if (!worker) {
+      startWorker();
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestId = nextRequestId++;
+      pending = { requestId, resolve, reject, onProgress, rules };
+      worker.postMessage({ type: 'analyze', requestId, spec, rules: toWorkerRules(rules), reserved });
+    });
+  };
+
+  /**
+   * Stop the worker and cancel any running analysis
+   */
+  const terminate = () => {
+    cancel();
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  };
+
+  return { setCatalog, analyze, cancel, terminate };
+};
@@ -4,7 +4,16 @@
  * legal restrictions, and timeline requirements
  */
 
-import { calculateShippingDays } from '../utils/csvParser.js';
+import businessRules from '../config/businessRules.js';
+import { optimizeBillOfMaterials } from './bomOptimizer.js';
+import { getProductSets, getCatalogIndex, queryCatalog } from './catalogIndex.js';
+import { getScoringCriteria } from './scoringCriteria.js';
+import { getFireRatingRequirements, meetsFireRating } from './fireCompliance.js';
+import { calculateDeliveryDate } from './deliveryCalendar.js';
+import { estimateTransit } from './transitEstimator.js';
+import { estimateShipmentFreight } from './freightEstimator.js';
+import { allocateQuantity } from './warehouseAllocator.js';
+import { applyReservations } from './inventoryReservations.js';
 
 /**
  * Filter products based on location and legal restrictions
@@ -13,17 +22,10 @@ import { calculateShippingDays } from '../utils/csvParser.js';
  * @returns {Array} Filtered products that are legal in the location
  */
 export const filterByLocation = (products, stateCode) => {
-  return products.filter(product => {
-    // Check if product is restricted in this state
-    if (!product.restrictedStates) return true;
-
-    const restrictedStates = product.restrictedStates
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s);
-
-    return !restrictedStates.includes(stateCode);
-  });
+  // Check if product is restricted in this state
+  return products.filter(product =>
+    !getProductSets(product).restrictedStates.has(stateCode)
+  );
 };
 
 /**
@@ -35,16 +37,9 @@ export const filterByLocation = (products, stateCode) => {
 export const filterByProjectType = (products, projectType) => {
   if (!projectType) return products;
 
-  return products.filter(product => {
-    if (!product.applicableProjectTypes) return false;
-
-    const applicableTypes = product.applicableProjectTypes
-      .split(';')
-      .map(t => t.trim())
-      .filter(t => t);
-
-    return applicableTypes.includes(projectType);
-  });
+  return products.filter(product =>
+    getProductSets(product).projectTypes.has(projectType)
+  );
 };
 
 /**
@@ -65,23 +60,19 @@ export const filterByCategories = (products, categories) => {
  * Filter products by certifications
  * @param {Array} products - Products to filter
  * @param {Array<string>} requiredCerts - Required certifications
+ * @param {boolean} strict - Require all certifications (default true); otherwise any one is enough
  * @returns {Array} Products with required certifications
  */
-export const filterByCertifications = (products, requiredCerts) => {
+export const filterByCertifications = (products, requiredCerts, strict = true) => {
   if (!requiredCerts || requiredCerts.length === 0) return products;
 
   return products.filter(product => {
-    if (!product.certifications) return false;
+    const productCerts = getProductSets(product).certifications;
 
-    const productCerts = product.certifications
-      .split(';')
-      .map(c => c.trim())
-      .filter(c => c);
-
-    // Check if product has all required certifications
-    return requiredCerts.every(reqCert =>
-      productCerts.includes(reqCert)
-    );
+    // Check if product has all (strict) or any of the required certifications
+    return strict
+      ? requiredCerts.every(reqCert => productCerts.has(reqCert))
+      : requiredCerts.some(reqCert => productCerts.has(reqCert));
   });
 };
 
@@ -106,12 +97,41 @@ export const filterByBudget = (products, maxBudget, cushion = 0.9) => {
  * Filter products by stock availability
  * @param {Array} products - Products to filter
  * @param {boolean} inStockOnly - Whether to filter to in-stock only
+ * @param {number} minStockQuantity - Minimum stock quantity to count as in stock (default 1)
  * @returns {Array} Filtered products
  */
-export const filterByStock = (products, inStockOnly = false) => {
+export const filterByStock = (products, inStockOnly = false, minStockQuantity = 1) => {
   if (!inStockOnly) return products;
 
-  return products.filter(product => product.stockQty > 0);
+  return products.filter(product => product.stockQty >= minStockQuantity);
+};
+
+/**
+ * Filter products by maximum lead time
+ * @param {Array} products - Products to filter
+ * @param {number} maxLeadTimeDays - Maximum acceptable lead time in days
+ * @returns {Array} Products that can ship within the lead time
+ */
+export const filterByLeadTime = (products, maxLeadTimeDays) => {
+  if (!maxLeadTimeDays) return products;
+
+  return products.filter(product => product.leadTimeDays <= maxLeadTimeDays);
+};
+
+/**
+ * Filter products by minimum fire rating per category
+ * Products in categories without a requirement are kept
+ * @param {Array} products - Products to filter
+ * @param {Object} requirements - Requirements keyed by category (from getFireRatingRequirements)
+ * @returns {Array} Products that meet their category's fire rating
+ */
+export const filterByFireRating = (products, requirements) => {
+  if (!requirements || Object.keys(requirements).length === 0) return products;
+
+  return products.filter(product => {
+    const requirement = requirements[product.category];
+    return !requirement || meetsFireRating(product, requirement.minRating);
+  });
 };
 
 /**
@@ -140,154 +160,360 @@ export const filterByEcoPreferences = (products, preferences) => {
 
 /**
  * Check if product can meet timeline requirements
+ * Transit comes from services/transitEstimator.js; lead time, transit and
+ * the safety buffer are counted on the shipping calendar
+ * (services/deliveryCalendar.js).
  * @param {Object} product - Product to check
- * @param {Date} requiredDate - Required delivery date
- * @param {string} projectState - Project location state code
- * @param {Date} orderDate - Expected order date (default: today)
- * @returns {Object} Timeline analysis
+ * @param {Date|string} requiredDate - Required delivery date (none if missing or invalid)
+ * @param {string|Object} destination - Project state code, or { state, zipCode, tier } for distance-based transit
+ * @param {Date|string} orderDate - Expected order date (default: today)
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Object} Timeline analysis (daysMargin is null without a required date)
  */
-export const checkTimeline = (product, requiredDate, projectState, orderDate = new Date()) => {
-  const shippingDays = calculateShippingDays(product.warehouseLocation, projectState);
-  const totalDays = product.leadTimeDays + shippingDays;
-
-  const deliveryDate = new Date(orderDate);
-  deliveryDate.setDate(deliveryDate.getDate() + totalDays);
+export const checkTimeline = (product, requiredDate, destination, orderDate = new Date(), rules = businessRules) => {
+  const { state, zipCode, tier } = typeof destination === 'string' ? { state: destination } : destination;
+  const transit = estimateTransit({
+    warehouseState: product.warehouseLocation,
+    destinationState: state,
+    zipCode,
+    tier
+  }, rules);
+  const shippingDays = transit.days;
+  const { estimatedDelivery, calendarDays, assumptions } = calculateDeliveryDate(
+    orderDate,
+    product.leadTimeDays,
+    shippingDays,
+    rules
+  );
 
-  const meetsTimeline = deliveryDate <= requiredDate;
-  const daysMargin = Math.floor((requiredDate - deliveryDate) / (1000 * 60 * 60 * 24));
+  // Saved projects store dates as strings; without a valid date there is
+  // no deadline to miss
+  const parsed = requiredDate ? new Date(requiredDate) : null;
+  const deadline = parsed && !Number.isNaN(parsed.getTime()) ? parsed : null;
+  const meetsTimeline = !deadline || estimatedDelivery <= deadline;
+  const daysMargin = deadline
+    ? Math.floor((deadline - estimatedDelivery) / (1000 * 60 * 60 * 24))
+    : null;
 
   return {
     estimatedShippingDays: shippingDays,
-    totalLeadTime: totalDays,
-    estimatedDelivery: deliveryDate,
+    totalLeadTime: calendarDays,
+    estimatedDelivery,
     meetsTimeline,
-    daysMargin
+    daysMargin,
+    transit,
+    deliveryAssumptions: assumptions
   };
 };
 
 /**
- * Calculate match score for a product based on project specifications
- * @param {Object} product - Product to score
+ * Get the quantity a project needs of a product
+ * Per-product quantities take precedence over per-category quantities
+ * @param {Object} product - Product to look up
  * @param {Object} spec - Project specification
- * @returns {Object} Match result with score and reasons
+ * @returns {number} Quantity needed (1 when the specification gives none)
  */
-export const calculateMatchScore = (product, spec) => {
-  let score = 0;
-  const matchReasons = [];
-  const warnings = [];
+export const getQuantityNeeded = (product, spec) => {
+  const productQty = spec.productQuantities && spec.productQuantities[product.productId];
+  if (productQty > 0) return productQty;
 
-  // Base score for being legally available (60 points)
-  score += 60;
-  matchReasons.push('Available in your location');
+  const categoryQty = spec.categoryQuantities && spec.categoryQuantities[product.category];
+  if (categoryQty > 0) return categoryQty;
 
-  // Project type match (10 points)
-  if (product.applicableProjectTypes.includes(spec.projectType)) {
-    score += 10;
-    matchReasons.push(`Suitable for ${spec.projectType} projects`);
-  }
+  return 1;
+};
 
-  // Certification match (5 points each, max 10)
-  if (spec.requiredCertifications && spec.requiredCertifications.length > 0) {
-    const productCerts = product.certifications.split(';').map(c => c.trim()).filter(c => c);
-    const matchedCerts = spec.requiredCertifications.filter(reqCert =>
-      productCerts.includes(reqCert)
-    );
+/**
+ * Round a needed quantity up to an orderable quantity
+ * Products are ordered in multiples of their minimum order quantity
+ * @param {Object} product - Product being ordered
+ * @param {number} quantityNeeded - Quantity the project needs
+ * @returns {number} Quantity to order
+ */
+export const calculateOrderQuantity = (product, quantityNeeded) => {
+  const minOrderQty = product.minOrderQty > 0 ? product.minOrderQty : 1;
+  return Math.ceil(quantityNeeded / minOrderQty) * minOrderQty;
+};
 
-    if (matchedCerts.length > 0) {
-      score += Math.min(matchedCerts.length * 5, 10);
-      matchReasons.push(`Has ${matchedCerts.length} required certification(s)`);
-    }
-  }
+/**
+ * Get the milestones that need a product category, earliest first
+ * @param {Array} milestones - Project milestones
+ * @param {string} category - Product category
+ * @returns {Array} Matching milestones with targetDate as a Date
+ */
+export const getMilestonesForCategory = (milestones, category) => {
+  if (!milestones || milestones.length === 0) return [];
 
-  // Eco-friendly preferences (5 points each, max 10)
-  let ecoScore = 0;
-  if (spec.ecoFriendlyPreference && product.ecoFriendly === 'Yes') {
-    ecoScore += 5;
-    matchReasons.push('Eco-friendly product');
-  }
-  if (spec.sustainablePreference && product.sustainableSource === 'Yes') {
-    ecoScore += 5;
-    matchReasons.push('Sustainable source');
+  return milestones
+    .filter(m => m.targetDate && (m.requiredCategories || []).includes(category))
+    .map(m => ({ ...m, targetDate: new Date(m.targetDate) }))
+    .sort((a, b) => a.targetDate - b.targetDate);
+};
+
+/**
+ * Summarize stock on hand against a quantity
+ * @param {number} quantity - Quantity wanted
+ * @param {{ quantity: number, estimatedDelivery: Date }} backorder - Backordered shipment (undefined when stock covers the quantity)
+ * @returns {Object} Stock availability (see StockAvailability in types)
+ */
+const summarizeStock = (quantity, backorder) => {
+  const shortfall = backorder ? backorder.quantity : 0;
+  let status = 'in-stock';
+  if (shortfall > 0) {
+    status = shortfall < quantity ? 'partial' : 'out-of-stock';
   }
-  score += Math.min(ecoScore, 10);
 
-  // Stock availability (5 points)
-  if (product.stockQty > 0) {
-    score += 5;
-    matchReasons.push('In stock');
-  } else {
+  return {
+    status,
+    quantity,
+    available: quantity - shortfall,
+    shortfall,
+    shortfallDelivery: backorder ? backorder.estimatedDelivery : null
+  };
+};
+
+/**
+ * Check whether stock on hand covers a quantity, and when a shortfall arrives
+ * The shortfall is backordered from the nearest warehouse and waits for a
+ * restock (see allocateQuantity).
+ * @param {Object} product - Product
+ * @param {number} quantity - Quantity wanted
+ * @param {Object} spec - Project specification (location, zipCode, carrierTier, projectStartDate)
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Object} Stock availability (see StockAvailability in types)
+ */
+export const checkStockAvailability = (product, quantity, spec, rules = businessRules) => {
+  const destination = { state: spec.location, zipCode: spec.zipCode, tier: spec.carrierTier };
+  const backorder = allocateQuantity(product, quantity, destination, rules)
+    .find(allocation => allocation.backordered > 0);
+  if (!backorder) return summarizeStock(quantity);
+
+  const { estimatedDelivery } = checkTimeline(
+    { ...product, warehouseLocation: backorder.warehouseLocation, leadTimeDays: backorder.leadTimeDays },
+    new Date(spec.projectEndDate),
+    destination,
+    spec.projectStartDate,
+    rules
+  );
+  return summarizeStock(quantity, { quantity: backorder.quantity, estimatedDelivery });
+};
+
+/**
+ * Round points to two decimals (weights can make them fractional)
+ * @param {number} points - Points
+ * @returns {number} Rounded points
+ */
+const roundPoints = (points) => Math.round(points * 100) / 100;
+
+/**
+ * Calculate match score for a product based on project specifications
+ * Runs the registered scoring criteria (services/scoringCriteria.js) in the
+ * order, enablement and weights given by rules.scoringPipeline.
+ * @param {Object} product - Product to score
+ * @param {Object} spec - Project specification
+ * @param {Object} rules - Business rules to score with (default: config/businessRules.js)
+ * @returns {Object} Match result with score, reasons and per-criterion score breakdown
+ */
+export const calculateMatchScore = (product, spec, rules = businessRules) => {
+  const matchReasons = [];
+  const warnings = [];
+  const scoreBreakdown = [];
+
+  // Quantity, split across warehouses nearest the jobsite first
+  const quantityNeeded = getQuantityNeeded(product, spec);
+  const orderQuantity = calculateOrderQuantity(product, quantityNeeded);
+  const destination = { state: spec.location, zipCode: spec.zipCode, tier: spec.carrierTier };
+  const allocations = allocateQuantity(product, orderQuantity, destination, rules);
+
+  // Timeline analysis per shipment (against the earliest milestone needing
+  // this category, else the project end); the order is complete when the
+  // last shipment arrives
+  const milestones = getMilestonesForCategory(spec.milestones, product.category);
+  const requiredBy = milestones[0];
+  const shipmentTimelines = allocations.map(allocation => checkTimeline(
+    { ...product, warehouseLocation: allocation.warehouseLocation, leadTimeDays: allocation.leadTimeDays },
+    requiredBy ? requiredBy.targetDate : spec.projectEndDate,
+    destination,
+    spec.projectStartDate,
+    rules
+  ));
+  const timeline = shipmentTimelines.reduce((latest, shipment) => (
+    shipment.estimatedDelivery > latest.estimatedDelivery ? shipment : latest
+  ));
+  const deadlineLabel = requiredBy ? `"${requiredBy.name}"` : 'deadline';
+
+  // Stock on hand against the order quantity; the shortfall arrives with the backorder
+  const backorderIndex = allocations.findIndex(allocation => allocation.backordered > 0);
+  const stock = summarizeStock(orderQuantity, backorderIndex >= 0
+    ? { quantity: allocations[backorderIndex].quantity, estimatedDelivery: shipmentTimelines[backorderIndex].estimatedDelivery }
+    : undefined);
+
+  // Run scoring criteria
+  const context = {
+    rules,
+    productSets: getProductSets(product),
+    timeline,
+    requiredBy,
+    deadlineLabel,
+    stock
+  };
+  let score = 0;
+
+  getScoringCriteria(rules.scoringPipeline).forEach(criterion => {
+    const result = criterion.score(product, spec, context);
+    if (!result) return;
+
+    const points = roundPoints(result.points * criterion.weight);
+    score += points;
+    scoreBreakdown.push({
+      criterion: criterion.id,
+      label: criterion.label,
+      explanation: criterion.explanation,
+      points,
+      maxPoints: result.maxPoints === null || result.maxPoints === undefined
+        ? null
+        : roundPoints(result.maxPoints * criterion.weight),
+      weight: criterion.weight,
+      rule: result.rule,
+      detail: result.detail
+    });
+    matchReasons.push(...[].concat(result.reason || []));
+  });
+  score = roundPoints(score);
+
+  // Availability warnings (independent of which criteria are enabled)
+  if (product.stockQty < rules.filtering.minStockQuantity) {
     warnings.push('Currently out of stock');
+  } else if (stock.shortfall > 0) {
+    warnings.push(
+      `Only ${stock.available} of ${orderQuantity} ${product.unit} in stock; the other ${stock.shortfall} arrive ${stock.shortfallDelivery.toLocaleDateString()}`
+    );
   }
 
-  // Installation difficulty match (5 points)
-  if (spec.installationCapability === 'DIY' &&
-      ['Easy', 'Moderate'].includes(product.installationDifficulty)) {
-    score += 5;
-    matchReasons.push('DIY-friendly installation');
-  } else if (spec.installationCapability === 'Professional' &&
-             product.installationDifficulty === 'Professional Required') {
-    score += 5;
-    matchReasons.push('Professional installation available');
+  if (!timeline.meetsTimeline) {
+    warnings.push(
+      requiredBy
+        ? `Will be ${Math.abs(timeline.daysMargin)} days late for ${deadlineLabel}${requiredBy.critical ? ' (critical)' : ''}`
+        : `Will be ${Math.abs(timeline.daysMargin)} days late`
+    );
   }
 
-  // Warranty (bonus points)
-  if (product.warrantyYears >= 10) {
-    score += 3;
-    matchReasons.push(`${product.warrantyYears}-year warranty`);
-  } else if (product.warrantyYears >= 5) {
-    score += 2;
-    matchReasons.push(`${product.warrantyYears}-year warranty`);
+  // Per-milestone delivery checks
+  const milestoneChecks = milestones.map(milestone => {
+    const daysMargin = Math.floor(
+      (milestone.targetDate - timeline.estimatedDelivery) / (1000 * 60 * 60 * 24)
+    );
+    return {
+      milestoneId: milestone.id,
+      name: milestone.name,
+      targetDate: milestone.targetDate,
+      critical: !!milestone.critical,
+      meetsTimeline: timeline.estimatedDelivery <= milestone.targetDate,
+      daysMargin
+    };
+  });
+
+  // Extended price
+  if (orderQuantity > quantityNeeded) {
+    warnings.push(
+      `Sold in multiples of ${product.minOrderQty} ${product.unit}; order ${orderQuantity} to cover ${quantityNeeded}`
+    );
   }
 
-  // Timeline analysis
-  const timeline = checkTimeline(
-    product,
-    spec.projectEndDate,
-    spec.location,
-    spec.projectStartDate
-  );
+  // Freight for this line shipped on its own (each allocation separately,
+  // since a backorder ships later), for landed cost
+  const lineTotal = product.price * orderQuantity;
+  const freightShipments = allocations.map(allocation => estimateShipmentFreight(
+    [{ product, quantity: allocation.quantity, warehouseLocation: allocation.warehouseLocation }],
+    destination,
+    rules
+  ));
+  const freight = {
+    shipments: freightShipments,
+    billableWeight: Math.round(freightShipments.reduce((sum, s) => sum + s.billableWeight, 0) * 10) / 10,
+    cost: Math.round(freightShipments.reduce((sum, s) => sum + s.cost, 0) * 100) / 100
+  };
 
-  if (timeline.meetsTimeline) {
-    score += 5;
-    matchReasons.push(`Can deliver ${timeline.daysMargin} days before deadline`);
-  } else {
-    score -= 10;
-    warnings.push(`Will be ${Math.abs(timeline.daysMargin)} days late`);
-  }
+  // Split shipments with their own delivery dates
+  const shipments = allocations.map((allocation, i) => {
+    const { estimatedShippingDays, estimatedDelivery, meetsTimeline, daysMargin } = shipmentTimelines[i];
+    return {
+      ...allocation,
+      estimatedShippingDays,
+      estimatedDelivery,
+      meetsTimeline,
+      daysMargin,
+      freightCost: freightShipments[i].cost
+    };
+  });
 
   return {
     product,
-    matchScore: Math.min(Math.max(score, 0), 100), // Clamp between 0-100
+    matchScore: Math.round(Math.min(Math.max(score, 0), 100)), // Clamp between 0-100
+    rawScore: score,
+    scoreBreakdown,
     matchReasons,
     warnings,
+    quantityNeeded,
+    orderQuantity,
+    lineTotal,
+    freight,
+    landedCost: Math.round((lineTotal + freight.cost) * 100) / 100,
+    shipments,
+    stock,
+    applicableMilestones: milestones.map(m => m.id),
+    milestoneChecks,
     ...timeline
   };
 };
 
+// Number of products scored between progress reports
+const PROGRESS_INTERVAL = 500;
+
 /**
  * Find and rank products matching project specifications
  * @param {Array} allProducts - All available products
  * @param {Object} spec - Project specification
+ * @param {Object} rules - Business rules to filter and score with (default: config/businessRules.js)
+ * @param {Object} options - Matching options
+ * @param {Function} options.onProgress - Called with ({ stage, completed, total }) while filtering and scoring
+ * @param {Map<string, number>} options.reserved - Stock reserved ahead of this project (see getReservedQuantities)
  * @returns {Array} Ranked product matches
  */
-export const findMatchingProducts = (allProducts, spec) => {
-  // Apply filters
-  let filtered = allProducts;
-
-  // Location/legal filter (mandatory)
-  filtered = filterByLocation(filtered, spec.location);
+export const findMatchingProducts = (allProducts, spec, rules = businessRules, { onProgress, reserved } = {}) => {
+  const filtering = rules.filtering;
+  const reportProgress = onProgress || (() => {});
+
+  reportProgress({ stage: 'filtering', completed: 0, total: allProducts.length });
+
+  // Location/legal (mandatory), project type, category, certification and
+  // excluded manufacturer filters, answered from the catalog index
+  let filtered = queryCatalog(getCatalogIndex(allProducts), {
+    location: spec.location,
+    projectType: spec.projectType,
+    categories: spec.requiredCategories,
+    certifications: spec.requireCertifications ? spec.requiredCertifications : null,
+    strictCertifications: filtering.strictCertifications,
+    excludedManufacturers: spec.excludedManufacturers
+  });
 
-  // Project type filter
-  filtered = filterByProjectType(filtered, spec.projectType);
+  // Fire rating code compliance (mandatory)
+  filtered = filterByFireRating(filtered, getFireRatingRequirements(spec, rules));
 
-  // Category filter (if specified)
-  if (spec.requiredCategories && spec.requiredCategories.length > 0) {
-    filtered = filterByCategories(filtered, spec.requiredCategories);
+  // Stock available to promise: reservations ahead of this project come out
+  if (reserved && reserved.size > 0) {
+    filtered = filtered.map(product => applyReservations(product, reserved));
   }
 
-  // Certification filter (if required)
-  if (spec.requireCertifications && spec.requiredCertifications) {
-    filtered = filterByCertifications(filtered, spec.requiredCertifications);
+  // Stock filter (unless out-of-stock products are allowed)
+  filtered = filterByStock(filtered, !filtering.allowOutOfStock, filtering.minStockQuantity);
+
+  // Lead time filter
+  filtered = filterByLeadTime(filtered, filtering.maxLeadTimeDays);
+
+  // Custom filter hook
+  if (rules.custom && rules.custom.filter) {
+    filtered = filtered.filter(product => rules.custom.filter(product, spec));
   }
 
   // Eco preferences (if specified)
@@ -304,9 +530,12 @@ export const findMatchingProducts = (allProducts, spec) => {
   }
 
   // Score and rank products
-  const scored = filtered.map(product =>
-    calculateMatchScore(product, spec)
-  );
+  const scored = filtered.map((product, i) => {
+    if (i % PROGRESS_INTERVAL === 0) {
+      reportProgress({ stage: 'scoring', completed: i, total: filtered.length });
+    }
+    return calculateMatchScore(product, spec, rules);
+  });
 
   // Sort by match score (descending)
   scored.sort((a, b) => b.matchScore - a.matchScore);
@@ -318,19 +547,25 @@ export const findMatchingProducts = (allProducts, spec) => {
  * Analyze project feasibility and generate recommendations
  * @param {Array} matchedProducts - Matched products with scores
  * @param {Object} spec - Project specification
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
  * @returns {Object} Project analysis
  */
-export const analyzeProject = (matchedProducts, spec) => {
+export const analyzeProject = (matchedProducts, spec, rules = businessRules) => {
   const analysis = {
     specification: spec,
     recommendedProducts: matchedProducts,
     estimatedTotalCost: 0,
     categoryBreakdown: {},
+    billOfMaterials: null,
     timelineAnalysis: {
       feasible: true,
       criticalPath: [],
       concerns: []
     },
+    preferredManufacturerGaps: [],
+    compliance: {
+      fireRatings: {}
+    },
     risks: [],
     recommendations: []
   };
@@ -345,25 +580,93 @@ export const analyzeProject = (matchedProducts, spec) => {
     byCategory[category].push(match);
   });
 
-  // Calculate category breakdown (taking best match from each category)
-  Object.keys(byCategory).forEach(category => {
-    const best = byCategory[category][0]; // Highest scored
+  // Calculate category breakdown from the budget-optimized bill of materials
+  const billOfMaterials = optimizeBillOfMaterials(matchedProducts, spec, rules);
+  analysis.billOfMaterials = billOfMaterials;
+
+  Object.entries(billOfMaterials.selection).forEach(([category, best]) => {
     if (best) {
       analysis.categoryBreakdown[category] = {
         product: best.product.productName,
-        cost: best.product.price,
+        productId: best.product.productId,
+        unit: best.product.unit,
+        unitPrice: best.product.price,
+        quantityNeeded: best.quantityNeeded,
+        orderQuantity: best.orderQuantity,
+        cost: best.lineTotal,
         deliveryDate: best.estimatedDelivery
       };
-      analysis.estimatedTotalCost += best.product.price;
+      analysis.estimatedTotalCost += best.lineTotal;
     }
   });
 
-  // Check budget
-  if (spec.maxBudget && analysis.estimatedTotalCost > spec.maxBudget) {
+  // Budget trade-offs made by the optimizer
+  billOfMaterials.tradeOffs.forEach(tradeOff => {
+    analysis.recommendations.push(tradeOff.message);
+  });
+
+  // Critical milestone analysis (selected product per category)
+  Object.entries(billOfMaterials.selection).forEach(([category, best]) => {
+    (best.milestoneChecks || [])
+      .filter(check => check.critical && !check.meetsTimeline)
+      .forEach(check => {
+        analysis.timelineAnalysis.criticalPath.push({
+          productId: best.product.productId,
+          productName: best.product.productName,
+          category,
+          milestoneId: check.milestoneId,
+          milestoneName: check.name,
+          targetDate: check.targetDate,
+          estimatedDelivery: best.estimatedDelivery,
+          daysLate: Math.abs(check.daysMargin)
+        });
+
+        const hasOnTimeAlternative = byCategory[category].some(match =>
+          (match.milestoneChecks || []).some(c =>
+            c.milestoneId === check.milestoneId && c.meetsTimeline
+          )
+        );
+
+        analysis.timelineAnalysis.concerns.push(
+          hasOnTimeAlternative
+            ? `${best.product.productName} would slip critical milestone "${check.name}" by ${Math.abs(check.daysMargin)} days; a lower-ranked ${category} product can arrive on time`
+            : `No ${category} product can arrive before critical milestone "${check.name}"`
+        );
+      });
+  });
+
+  if (analysis.timelineAnalysis.criticalPath.length > 0) {
+    analysis.timelineAnalysis.feasible = false;
     analysis.risks.push(
-      `Estimated cost ($${analysis.estimatedTotalCost.toFixed(2)}) exceeds budget ($${spec.maxBudget.toFixed(2)})`
+      `${analysis.timelineAnalysis.criticalPath.length} recommended product(s) would slip critical milestones`
+    );
+    analysis.recommendations.push(
+      'Move critical milestone dates or choose faster-shipping products for critical path categories'
     );
-    analysis.recommendations.push('Consider adjusting product selections or increasing budget');
+  }
+
+  // Check budget against extended line totals
+  if (spec.maxBudget) {
+    const budgetUsage = analysis.estimatedTotalCost / spec.maxBudget;
+
+    if (budgetUsage > rules.budget.criticalThreshold) {
+      analysis.risks.push(
+        `Estimated cost ($${analysis.estimatedTotalCost.toFixed(2)}) exceeds budget ($${spec.maxBudget.toFixed(2)})`
+      );
+      analysis.recommendations.push('Consider adjusting product selections or increasing budget');
+    } else if (budgetUsage > rules.budget.warningThreshold) {
+      analysis.risks.push(
+        `Estimated cost uses ${(budgetUsage * 100).toFixed(0)}% of budget, leaving little margin`
+      );
+    }
+
+    if (budgetUsage > rules.budget.warningThreshold) {
+      const [largestCategory, largestLine] = Object.entries(analysis.categoryBreakdown)
+        .sort(([, a], [, b]) => b.cost - a.cost)[0];
+      analysis.recommendations.push(
+        `${largestCategory} is the largest line ($${largestLine.cost.toFixed(2)} for ${largestLine.orderQuantity} ${largestLine.unit}); review alternatives there first`
+      );
+    }
   }
 
   // Timeline analysis
@@ -374,6 +677,57 @@ export const analyzeProject = (matchedProducts, spec) => {
     analysis.recommendations.push('Consider adjusting timeline or selecting faster-shipping alternatives');
   }
 
+  // Stock on hand against the quantities needed
+  const shortProducts = matchedProducts.filter(m => m.stock.shortfall > 0);
+  if (shortProducts.length > 0) {
+    analysis.risks.push(`${shortProducts.length} products cannot ship their full quantity from stock`);
+  }
+
+  // Fire rating compliance for the categories this project needs
+  const fireRequirements = getFireRatingRequirements(spec, rules);
+  const neededCategories = spec.requiredCategories && spec.requiredCategories.length > 0
+    ? spec.requiredCategories
+    : Object.keys(fireRequirements);
+
+  neededCategories
+    .filter(category => fireRequirements[category])
+    .forEach(category => {
+      const requirement = fireRequirements[category];
+      const compliantProducts = (byCategory[category] || [])
+        .filter(match => meetsFireRating(match.product, requirement.minRating)).length;
+
+      analysis.compliance.fireRatings[category] = { ...requirement, compliantProducts };
+
+      if (requirement.specifiedRating && requirement.codeMinimum &&
+          requirement.minRating !== requirement.specifiedRating) {
+        analysis.risks.push(
+          `${category}: specified ${requirement.specifiedRating} is below the ${requirement.codeMinimum} code minimum; ${requirement.codeMinimum} is required`
+        );
+      }
+
+      if (compliantProducts === 0) {
+        analysis.risks.push(
+          `No ${category} products meet the ${requirement.minRating} fire rating required by ${requirement.sources.join(' and ')}`
+        );
+      }
+    });
+
+  // Categories with no product from a preferred manufacturer
+  const preferred = spec.preferredManufacturers || [];
+  if (preferred.length > 0) {
+    Object.entries(byCategory).forEach(([category, matches]) => {
+      if (!matches.some(match => preferred.includes(match.product.manufacturer))) {
+        analysis.preferredManufacturerGaps.push(category);
+      }
+    });
+
+    if (analysis.preferredManufacturerGaps.length > 0) {
+      analysis.recommendations.push(
+        `No products from preferred manufacturers (${preferred.join(', ')}) for: ${analysis.preferredManufacturerGaps.join(', ')}; other manufacturers are shown`
+      );
+    }
+  }
+
   // Check for missing categories
   if (spec.requiredCategories) {
     const foundCategories = Object.keys(analysis.categoryBreakdown);
@@ -0,0 +1,234 @@
+/**
+ * Proposal Generator
+ * Turns a saved project into a customer-facing quote/proposal, rendered as a
+ * standalone printable HTML document or exported as JSON
+ */
+
+import businessRules from '../config/businessRules.js';
+import { buildQuoteLineItems, generateQuote } from './quoteEngine.js';
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format a dollar amount
+ * @param {number} amount - Dollar amount
+ * @returns {string} Formatted amount, e.g. "$1,234.50"
+ */
+const formatCurrency = (amount) => `$${amount.toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * Format a date for display
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date, or empty string when missing
+ */
+const formatDate = (date) => (
+  date ? new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  }) : ''
+);
+
+/**
+ * Build the proposal data for a project
+ * @param {Object} project - Saved project ({ id, specification, orderedProducts })
+ * @param {Object} analysis - Project analysis from analyzeProject
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @param {Date} issuedAt - Issue date (default: now)
+ * @returns {Object} Proposal data
+ */
+export const buildProposal = (project, analysis, rules = businessRules, issuedAt = new Date()) => {
+  const spec = project.specification;
+  const matches = analysis.recommendedProducts;
+  const quote = generateQuote(
+    buildQuoteLineItems(project.orderedProducts || {}, matches),
+    spec,
+    rules
+  );
+
+  const validUntil = new Date(issuedAt);
+  validUntil.setDate(validUntil.getDate() + rules.pricing.quoteValidityDays);
+
+  // Each quoted line arrives with its last shipment in the plan (split
+  // lines ship from several warehouses, consolidated ones wait for others)
+  const lines = quote.lines.map(line => {
+    const shipments = quote.freight.shipments.filter(shipment =>
+      shipment.items.some(item => item.productId === line.productId)
+    );
+    const deliveries = shipments.map(shipment => shipment.estimatedDelivery.getTime());
+    return {
+      ...line,
+      estimatedDelivery: deliveries.length > 0 ? new Date(Math.max(...deliveries)) : null,
+      meetsTimeline: shipments.every(shipment =>
+        shipment.items.every(item => item.productId !== line.productId || item.meetsTimeline)
+      )
+    };
+  });
+
+  return {
+    proposalNumber: `Q-${project.id || 'DRAFT'}-${issuedAt.getTime().toString(36).toUpperCase()}`,
+    issuedAt,
+    validUntil,
+    project: {
+      name: spec.projectName,
+      type: spec.projectType,
+      city: spec.city,
+      state: spec.location,
+      zipCode: spec.zipCode,
+      startDate: spec.projectStartDate,
+      endDate: spec.projectEndDate,
+      customerTier: quote.customerTier
+    },
+    quote: {
+      ...quote,
+      lines
+    },
+    risks: analysis.risks,
+    recommendations: analysis.recommendations
+  };
+};
+
+/**
+ * Export a proposal as machine-readable JSON
+ * @param {Object} proposal - Proposal from buildProposal
+ * @returns {string} JSON document
+ */
+export const exportProposalJSON = (proposal) => JSON.stringify(proposal, null, 2);
+
+/**
+ * Render a proposal as a standalone HTML document with print styles
+ * @param {Object} proposal - Proposal from buildProposal
+ * @returns {string} HTML document
+ */
+export const renderProposalHTML = (proposal) => {
+  const { project, quote } = proposal;
+
+  const lineRows = quote.lines.map(line => `
+        <tr>
+          <td>
+            <div class="name">${escapeHTML(line.productName)}</div>
+            <div class="meta">${escapeHTML(line.productId)} &middot; ${escapeHTML(line.manufacturer)}${line.allocations.length > 1
+              ? ` &middot; ships from ${line.allocations.map(a => `${escapeHTML(a.warehouseLocation)} (${escapeHTML(a.quantity)}${a.backordered > 0 ? ' backordered' : ''})`).join(', ')}`
+              : ''}</div>
+          </td>
+          <td class="num">${escapeHTML(line.quantity)} ${escapeHTML(line.unit)}</td>
+          <td class="num">${formatCurrency(line.listPrice)}</td>
+          <td class="num">${line.listTotal > line.lineTotal ? `-${formatCurrency(line.listTotal - line.lineTotal)}` : ''}</td>
+          <td class="num">${formatCurrency(line.lineTotal)}</td>
+          <td class="${line.meetsTimeline ? '' : 'late'}">${formatDate(line.estimatedDelivery)}${line.meetsTimeline ? '' : ' (late)'}</td>
+        </tr>`).join('');
+
+  const summaryRow = (label, value) => `
+        <tr><td>${label}</td><td class="num">${value}</td></tr>`;
+
+  const summaryRows = [
+    summaryRow('List price', formatCurrency(quote.listTotal)),
+    quote.lineDiscounts > 0
+      ? summaryRow(`Volume &amp; ${escapeHTML(quote.customerTier)} tier discounts`, `-${formatCurrency(quote.lineDiscounts)}`)
+      : '',
+    quote.bulkDiscount > 0
+      ? summaryRow(`Bulk order discount (${(quote.bulkDiscountRate * 100).toFixed(0)}%)`, `-${formatCurrency(quote.bulkDiscount)}`)
+      : '',
+    summaryRow(
+      `Shipping (${quote.freight.shipments.map(s => `${escapeHTML(s.modeLabel)} from ${escapeHTML(s.warehouseLocation)}`).join(', ')})`,
+      quote.freeShipping ? 'Free' : formatCurrency(quote.shipping)
+    ),
+    quote.taxRate > 0
+      ? summaryRow(`Tax (${(quote.taxRate * 100).toFixed(2)}%)`, formatCurrency(quote.tax))
+      : ''
+  ].join('');
+
+  const listSection = (title, items) => (items && items.length > 0 ? `
+    <section>
+      <h2>${title}</h2>
+      <ul>${items.map(item => `<li>${escapeHTML(item)}</li>`).join('')}</ul>
+    </section>` : '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Proposal ${escapeHTML(proposal.proposalNumber)} - ${escapeHTML(project.name)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+    header { display: flex; justify-content: space-between; border-bottom: 2px solid #2563eb; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+    h1 { margin: 0 0 0.25rem; font-size: 1.75rem; }
+    h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; }
+    .meta { color: #6b7280; font-size: 0.85rem; }
+    .details { text-align: right; font-size: 0.9rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { padding: 0.5rem; border-bottom: 1px solid #e5e7eb; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    .num { text-align: right; white-space: nowrap; }
+    .late { color: #b91c1c; }
+    .summary { width: 50%; margin-left: auto; margin-top: 1rem; }
+    .summary .total td { font-weight: 700; font-size: 1.1rem; border-top: 2px solid #1f2937; }
+    .validity { margin-top: 2rem; padding: 0.75rem; background: #eff6ff; border-radius: 4px; font-size: 0.9rem; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      header { border-bottom-color: #000; }
+      th { background: none; border-bottom: 2px solid #000; }
+      tr { page-break-inside: avoid; }
+      .validity { background: none; border: 1px solid #000; }
+    }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHTML(project.name)}</h1>
+      <div class="meta">${escapeHTML(project.type)} &middot; ${escapeHTML(project.city)}, ${escapeHTML(project.state)} ${escapeHTML(project.zipCode)}</div>
+      <div class="meta">Project dates: ${formatDate(project.startDate)} &ndash; ${formatDate(project.endDate)}</div>
+    </div>
+    <div class="details">
+      <div><strong>Proposal ${escapeHTML(proposal.proposalNumber)}</strong></div>
+      <div>Issued ${formatDate(proposal.issuedAt)}</div>
+      <div>Valid until ${formatDate(proposal.validUntil)}</div>
+    </div>
+  </header>
+
+  <section>
+    <h2>Line Items</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>Product</th>
+          <th class="num">Quantity</th>
+          <th class="num">Unit Price</th>
+          <th class="num">Discount</th>
+          <th class="num">Line Total</th>
+          <th>Est. Delivery</th>
+        </tr>
+      </thead>
+      <tbody>${lineRows}
+      </tbody>
+    </table>
+
+    <table class="summary">
+      <tbody>${summaryRows}
+        <tr class="total"><td>Total</td><td class="num">${formatCurrency(quote.total)}</td></tr>
+      </tbody>
+    </table>
+  </section>
+${listSection('Risks', proposal.risks)}${listSection('Recommendations', proposal.recommendations)}
+  <div class="validity">
+    Prices in this proposal are valid until ${formatDate(proposal.validUntil)}.
+    Delivery dates are estimates based on current lead times and stock.
+  </div>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,149 @@
+/**
+ * Quote Engine
+ * Builds itemized customer quotes from ordered products using the
+ * pricing rules and price adjustment hook in config/businessRules.js
+ */
+
+import businessRules from '../config/businessRules.js';
+import { allocateQuantity } from './warehouseAllocator.js';
+import { planShipments } from './shipmentPlanner.js';
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Dollar amount
+ * @returns {number} Amount rounded to 2 decimals
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the volume discount rate for a quantity
+ * @param {number} quantity - Quantity ordered
+ * @param {Object} volumeDiscounts - Quantity threshold -> discount rate
+ * @returns {number} Discount rate for the highest threshold reached (0 if none)
+ */
+export const getVolumeDiscountRate = (quantity, volumeDiscounts) => {
+  let rate = 0;
+  let bestThreshold = -1;
+
+  Object.entries(volumeDiscounts || {}).forEach(([threshold, discount]) => {
+    const minQty = parseInt(threshold);
+    if (quantity >= minQty && minQty > bestThreshold) {
+      bestThreshold = minQty;
+      rate = discount;
+    }
+  });
+
+  return rate;
+};
+
+/**
+ * Build line items for a quote from the dashboard's ordered products
+ * @param {Object} orderedProducts - productId -> { quantityNeeded, quantityOrdered }
+ * @param {Array} products - Products or product matches to look up productIds in
+ * @returns {Array<Object>} Line items with product and quantity
+ */
+export const buildQuoteLineItems = (orderedProducts, products) => {
+  const byId = {};
+  products.forEach(item => {
+    const product = item.product || item;
+    byId[product.productId] = product;
+  });
+
+  return Object.keys(orderedProducts)
+    .filter(productId => byId[productId])
+    .map(productId => ({
+      product: byId[productId],
+      quantity: orderedProducts[productId].quantityOrdered || 0
+    }));
+};
+
+/**
+ * Generate an itemized quote
+ * Applies per-line volume discounts, then the adjustPrice hook to the
+ * discounted unit price (customer tier and custom pricing), then the order-level bulk discount, freight for the
+ * shipment plan (services/shipmentPlanner.js) and tax
+ * @param {Array<Object>} lineItems - Line items with product and quantity
+ * @param {Object} spec - Project specification (customerTier, location, etc.)
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Object} Itemized quote
+ */
+export const generateQuote = (lineItems, spec = {}, rules = businessRules) => {
+  const pricing = rules.pricing;
+  const adjustPrice = rules.custom && rules.custom.adjustPrice;
+
+  const destination = { state: spec.location, zipCode: spec.zipCode };
+  const orderedItems = lineItems.filter(item => item.quantity > 0);
+
+  const lines = orderedItems
+    .map(({ product, quantity }) => {
+      const listPrice = product.price;
+      const volumeDiscountRate = getVolumeDiscountRate(quantity, pricing.volumeDiscounts);
+      const volumePrice = listPrice * (1 - volumeDiscountRate);
+      const unitPrice = adjustPrice
+        ? adjustPrice(volumePrice, quantity, product, spec, pricing)
+        : volumePrice;
+
+      const listTotal = roundCurrency(listPrice * quantity);
+      const volumeDiscount = roundCurrency((listPrice - volumePrice) * quantity);
+      const lineTotal = roundCurrency(unitPrice * quantity);
+
+      return {
+        productId: product.productId,
+        productName: product.productName,
+        manufacturer: product.manufacturer,
+        category: product.category,
+        unit: product.unit,
+        quantity,
+        listPrice,
+        unitPrice: roundCurrency(unitPrice),
+        listTotal,
+        volumeDiscountRate,
+        volumeDiscount,
+        // Customer tier and custom pricing from adjustPrice
+        otherAdjustments: roundCurrency(listTotal - volumeDiscount - lineTotal),
+        lineTotal,
+        // Warehouses the quantity ships from, nearest the jobsite first
+        allocations: allocateQuantity(product, quantity, destination, rules)
+          .map(({ warehouseLocation, quantity: allocated, backordered }) => ({
+            warehouseLocation,
+            quantity: allocated,
+            backordered
+          }))
+      };
+    });
+
+  const listTotal = roundCurrency(lines.reduce((sum, line) => sum + line.listTotal, 0));
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  // Order-level bulk discount
+  const bulkDiscountRate = subtotal >= pricing.bulkOrderThreshold ? pricing.bulkOrderDiscount : 0;
+  const bulkDiscount = roundCurrency(subtotal * bulkDiscountRate);
+  const discountedSubtotal = roundCurrency(subtotal - bulkDiscount);
+
+  // Freight for the planned (consolidated) shipments, free above the threshold
+  const freight = planShipments(orderedItems, spec, rules);
+  const freeShipping = lines.length === 0 ||
+    discountedSubtotal >= pricing.shipping.freeShippingThreshold;
+  const shipping = freeShipping ? 0 : freight.cost;
+
+  const tax = roundCurrency(discountedSubtotal * pricing.taxRate);
+  const total = roundCurrency(discountedSubtotal + shipping + tax);
+
+  return {
+    lines,
+    customerTier: spec.customerTier || 'Standard',
+    listTotal,
+    lineDiscounts: roundCurrency(listTotal - subtotal),
+    subtotal,
+    bulkDiscountRate,
+    bulkDiscount,
+    discountedSubtotal,
+    freeShipping,
+    shipping,
+    freight,
+    taxRate: pricing.taxRate,
+    tax,
+    total,
+    totalSavings: roundCurrency(listTotal - discountedSubtotal)
+  };
+};
@@ -0,0 +1,377 @@
+/**
+ * Scoring Criteria
+ * Registry of the criteria calculateMatchScore runs. Each criterion is an
+ * independent module; rules.scoringPipeline decides their order, which ones
+ * are disabled and how their points are weighted.
+ *
+ * A criterion looks like:
+ *   {
+ *     id: 'fireRating',
+ *     label: 'Fire rating',
+ *     explanation: 'Rewards products that meet the required fire rating',
+ *     weight: 1,          // default multiplier
+ *     enabled: true,      // default on/off
+ *     score: (product, spec, context) => ({ points, maxPoints, rule, detail, reason }) | null
+ *   }
+ *
+ * score() returns null when the criterion doesn't apply to the specification.
+ * context holds { rules, productSets, timeline, requiredBy, deadlineLabel, stock }.
+ *
+ * The registry is per thread: the matching worker has its own. Criteria in
+ * customCriteria (config/businessRules.js) are registered in both.
+ */
+
+import { customCriteria } from '../config/businessRules.js';
+import { getProductWarehouses } from './catalogIndex.js';
+
+const registry = new Map();
+
+/**
+ * Register a scoring criterion
+ * Registering an existing ID replaces that criterion.
+ * @param {Object} criterion - Criterion definition
+ */
+export const registerScoringCriterion = (criterion) => {
+  if (!criterion || !criterion.id) {
+    throw new Error('Scoring criterion must have an id');
+  }
+  if (typeof criterion.score !== 'function') {
+    throw new Error(`Scoring criterion "${criterion.id}" must have a score function`);
+  }
+
+  registry.set(criterion.id, {
+    label: criterion.id,
+    explanation: '',
+    weight: 1,
+    enabled: true,
+    ...criterion
+  });
+};
+
+/**
+ * Remove a scoring criterion from the registry
+ * @param {string} id - Criterion ID
+ */
+export const unregisterScoringCriterion = (id) => {
+  registry.delete(id);
+};
+
+/**
+ * Get the criteria to run, in order, with their effective weight
+ * Criteria listed in pipeline.order run first in that order; other
+ * registered criteria follow in registration order.
+ * @param {Object} pipeline - Scoring pipeline rules ({ order, disabled, enabled, weights })
+ * @returns {Array<Object>} Enabled criteria
+ */
+export const getScoringCriteria = (pipeline = {}) => {
+  const order = pipeline.order || [];
+  const disabled = pipeline.disabled || [];
+  const enabled = pipeline.enabled || [];
+  const weights = pipeline.weights || {};
+
+  const ordered = [
+    ...order.filter(id => registry.has(id)).map(id => registry.get(id)),
+    ...[...registry.values()].filter(criterion => !order.includes(criterion.id))
+  ];
+
+  return ordered
+    .filter(criterion => !disabled.includes(criterion.id) &&
+      (criterion.enabled || enabled.includes(criterion.id)))
+    .map(criterion => ({
+      ...criterion,
+      weight: weights[criterion.id] !== undefined ? weights[criterion.id] : criterion.weight
+    }));
+};
+
+// Built-in criteria
+
+registerScoringCriterion({
+  id: 'availability',
+  label: 'Available in location',
+  explanation: 'Base points for products that can legally be sold in the project state',
+  score: (product, spec, { rules }) => ({
+    points: rules.scoring.baseAvailabilityScore,
+    maxPoints: rules.scoring.baseAvailabilityScore,
+    rule: 'scoring.baseAvailabilityScore',
+    detail: `Not restricted in ${spec.location}`,
+    reason: 'Available in your location'
+  })
+});
+
+registerScoringCriterion({
+  id: 'projectType',
+  label: 'Project type',
+  explanation: 'Product is listed for the project type',
+  score: (product, spec, { rules, productSets }) => {
+    const matches = productSets.projectTypes.has(spec.projectType);
+    return {
+      points: matches ? rules.scoring.projectTypeMatch : 0,
+      maxPoints: rules.scoring.projectTypeMatch,
+      rule: 'scoring.projectTypeMatch',
+      detail: matches ? `Suitable for ${spec.projectType}` : `Not listed for ${spec.projectType}`,
+      reason: matches ? `Suitable for ${spec.projectType} projects` : null
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'certifications',
+  label: 'Certifications',
+  explanation: 'Points per required certification the product holds, capped',
+  score: (product, spec, { rules, productSets }) => {
+    const required = spec.requiredCertifications || [];
+    if (required.length === 0) return null;
+
+    const matched = required.filter(cert => productSets.certifications.has(cert));
+    return {
+      points: Math.min(matched.length * rules.scoring.certificationPoints, rules.scoring.maxCertificationPoints),
+      maxPoints: Math.min(required.length * rules.scoring.certificationPoints, rules.scoring.maxCertificationPoints),
+      rule: 'scoring.certificationPoints',
+      detail: `${matched.length} of ${required.length} required`,
+      reason: matched.length > 0 ? `Has ${matched.length} required certification(s)` : null
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'eco',
+  label: 'Eco preferences',
+  explanation: 'Points for meeting the eco-friendly and sustainable-source preferences, capped',
+  score: (product, spec, { rules }) => {
+    if (!spec.ecoFriendlyPreference && !spec.sustainablePreference) return null;
+
+    const scoring = rules.scoring;
+    let points = 0;
+    let maxPoints = 0;
+    const met = [];
+    const reasons = [];
+
+    if (spec.ecoFriendlyPreference) {
+      maxPoints += scoring.ecoFriendlyPoints;
+      if (product.ecoFriendly === 'Yes') {
+        points += scoring.ecoFriendlyPoints;
+        met.push('eco-friendly');
+        reasons.push('Eco-friendly product');
+      }
+    }
+    if (spec.sustainablePreference) {
+      maxPoints += scoring.sustainablePoints;
+      if (product.sustainableSource === 'Yes') {
+        points += scoring.sustainablePoints;
+        met.push('sustainable source');
+        reasons.push('Sustainable source');
+      }
+    }
+
+    return {
+      points: Math.min(points, scoring.maxEcoPoints),
+      maxPoints: Math.min(maxPoints, scoring.maxEcoPoints),
+      rule: 'scoring.maxEcoPoints',
+      detail: met.length > 0 ? `Matches: ${met.join(', ')}` : 'No preferences met',
+      reason: reasons
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'stock',
+  label: 'In stock',
+  explanation: 'Stock on hand covers the order quantity (partial stock earns partial points)',
+  score: (product, spec, { rules, stock }) => {
+    if (product.stockQty < rules.filtering.minStockQuantity || stock.available === 0) {
+      return {
+        points: 0,
+        maxPoints: rules.scoring.inStockBonus,
+        rule: 'scoring.inStockBonus',
+        detail: 'Out of stock',
+        reason: null
+      };
+    }
+
+    const covered = stock.quantity > 0 ? stock.available / stock.quantity : 1;
+    return {
+      points: rules.scoring.inStockBonus * covered,
+      maxPoints: rules.scoring.inStockBonus,
+      rule: 'scoring.inStockBonus',
+      detail: stock.shortfall > 0
+        ? `${stock.available} of ${stock.quantity} on hand (${Math.round(covered * 100)}%)`
+        : `${product.stockQty} available`,
+      reason: stock.shortfall > 0 ? 'Partially in stock' : 'In stock'
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'installation',
+  label: 'Installation',
+  explanation: 'Installation difficulty suits the installer',
+  score: (product, spec, { rules }) => {
+    if (!spec.installationCapability) return null;
+
+    const points = rules.scoring.installationMatch;
+    if (spec.installationCapability === 'DIY' &&
+        ['Easy', 'Moderate'].includes(product.installationDifficulty)) {
+      return {
+        points,
+        maxPoints: points,
+        rule: 'scoring.installationMatch',
+        detail: `${product.installationDifficulty} for DIY`,
+        reason: 'DIY-friendly installation'
+      };
+    }
+    if (spec.installationCapability === 'Professional' &&
+        product.installationDifficulty === 'Professional Required') {
+      return {
+        points,
+        maxPoints: points,
+        rule: 'scoring.installationMatch',
+        detail: 'Professional installation',
+        reason: 'Professional installation available'
+      };
+    }
+    return {
+      points: 0,
+      maxPoints: points,
+      rule: 'scoring.installationMatch',
+      detail: `${product.installationDifficulty} vs ${spec.installationCapability}`
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'warranty',
+  label: 'Warranty',
+  explanation: 'Bonus for 5+ and 10+ year warranties',
+  score: (product, spec, { rules }) => {
+    const scoring = rules.scoring;
+    const years = product.warrantyYears;
+
+    if (years >= 10) {
+      return {
+        points: scoring.warranty10YearsPlus,
+        maxPoints: scoring.warranty10YearsPlus,
+        rule: 'scoring.warranty10YearsPlus',
+        detail: `${years} years`,
+        reason: `${years}-year warranty`
+      };
+    }
+    if (years >= 5) {
+      return {
+        points: scoring.warranty5To9Years,
+        maxPoints: scoring.warranty10YearsPlus,
+        rule: 'scoring.warranty5To9Years',
+        detail: `${years} years`,
+        reason: `${years}-year warranty`
+      };
+    }
+    return {
+      points: 0,
+      maxPoints: scoring.warranty10YearsPlus,
+      rule: 'scoring.warranty10YearsPlus',
+      detail: years > 0 ? `${years} years` : 'No warranty'
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'timeline',
+  label: 'Timeline',
+  explanation: 'Bonus when delivery beats the earliest milestone or deadline, penalty when late',
+  score: (product, spec, { rules, timeline, deadlineLabel }) => {
+    // No milestone or end date to deliver against
+    if (timeline.daysMargin === null) return null;
+
+    return timeline.meetsTimeline
+      ? {
+          points: rules.scoring.timelineMetBonus,
+          maxPoints: rules.scoring.timelineMetBonus,
+          rule: 'scoring.timelineMetBonus',
+          detail: `${timeline.daysMargin} days before ${deadlineLabel}`,
+          reason: `Can deliver ${timeline.daysMargin} days before ${deadlineLabel}`
+        }
+      : {
+          points: rules.scoring.timelineMissedPenalty,
+          maxPoints: rules.scoring.timelineMetBonus,
+          rule: 'scoring.timelineMissedPenalty',
+          detail: `${Math.abs(timeline.daysMargin)} days late for ${deadlineLabel}`
+        };
+  }
+});
+
+registerScoringCriterion({
+  id: 'preferredManufacturer',
+  label: 'Preferred manufacturer',
+  explanation: 'Product is from one of the project\'s preferred manufacturers',
+  score: (product, spec, { rules }) => {
+    const preferred = spec.preferredManufacturers || [];
+    if (preferred.length === 0) return null;
+
+    const isPreferred = preferred.includes(product.manufacturer);
+    return {
+      points: isPreferred ? rules.scoring.preferredManufacturerBonus : 0,
+      maxPoints: rules.scoring.preferredManufacturerBonus,
+      rule: 'scoring.preferredManufacturerBonus',
+      detail: isPreferred ? `${product.manufacturer} is preferred` : `${product.manufacturer} is not preferred`,
+      reason: isPreferred ? `Preferred manufacturer (${product.manufacturer})` : null
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'localSupplier',
+  label: 'Local supplier',
+  explanation: 'Ships from a warehouse in the project state',
+  score: (product, spec, { rules }) => {
+    const locations = getProductWarehouses(product).map(warehouse => warehouse.location);
+    const local = locations.includes(spec.location);
+    return {
+      points: local ? rules.scoring.localSupplierBonus : 0,
+      maxPoints: rules.scoring.localSupplierBonus,
+      rule: 'scoring.localSupplierBonus',
+      detail: `Ships from ${locations.join(', ')}`,
+      reason: local ? `Local supplier (ships from ${spec.location})` : null
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'seasonal',
+  label: 'Seasonal demand',
+  explanation: 'Bonus for in-season categories (e.g. insulation in winter)',
+  score: (product, spec, { rules }) => {
+    const scoring = rules.scoring;
+    if (!scoring.seasonalCategories.includes(product.category)) return null;
+
+    const inSeason = scoring.seasonalMonths.includes(new Date().getMonth());
+    return {
+      points: inSeason ? scoring.seasonalBonus : 0,
+      maxPoints: scoring.seasonalBonus,
+      rule: 'scoring.seasonalBonus',
+      detail: inSeason ? `${product.category} is in season` : 'Out of season',
+      reason: inSeason ? `In-season ${product.category.toLowerCase()}` : null
+    };
+  }
+});
+
+registerScoringCriterion({
+  id: 'custom',
+  label: 'Custom rule',
+  explanation: 'Points from the custom.scoring hook in business rules',
+  score: (product, spec, { rules }) => {
+    if (!rules.custom || !rules.custom.scoring) return null;
+
+    const bonusPoints = rules.custom.scoring(product, spec);
+    if (!bonusPoints) return null;
+
+    return {
+      points: bonusPoints,
+      maxPoints: null,
+      rule: 'custom.scoring',
+      detail: 'Tenant-specific adjustment',
+      reason: `Custom rule adjustment (${bonusPoints > 0 ? '+' : ''}${bonusPoints} points)`
+    };
+  }
+});
+
+// Criteria from config, registered in every thread including the matching worker
+customCriteria.forEach(registerScoringCriterion);
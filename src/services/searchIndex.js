@@ -0,0 +1,282 @@
+/**
+ * Search Index
+ * Full-text product search over name, manufacturer, description, product ID
+ * and certifications, with prefix matching, typo tolerance, field boosting
+ * and highlighted snippets
+ */
+
+// Searchable fields and how much a match in each counts
+export const SEARCH_FIELDS = {
+  productId: 5,
+  productName: 4,
+  manufacturer: 3,
+  certifications: 2,
+  description: 1
+};
+
+// How much each kind of term match counts
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.75;
+const FUZZY_MATCH = 0.5;
+
+// Shortest query term matched by prefix / with typos
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+// Characters of description shown around the first match
+const SNIPPET_RADIUS = 60;
+
+// Search indexes, cached per products array
+const searchIndexCache = new WeakMap();
+
+/**
+ * Split text into lowercase search terms
+ * CamelCase words also yield their parts ("TrustedBrand" -> trustedbrand,
+ * trusted, brand).
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms
+ */
+export const tokenize = (text) => {
+  const terms = [];
+  (String(text || '').match(/[A-Za-z0-9]+/g) || []).forEach(word => {
+    terms.push(word.toLowerCase());
+
+    const parts = /[0-9]/.test(word) ? [] : word.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g) || [];
+    if (parts.length > 1) {
+      parts.forEach(part => terms.push(part.toLowerCase()));
+    }
+  });
+  return terms;
+};
+
+/**
+ * Typos allowed for a query term of this length
+ * @param {number} length - Term length
+ * @returns {number} Maximum edit distance
+ */
+const maxTypos = (length) => {
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  return length < 8 ? 1 : 2;
+};
+
+/**
+ * Edit distance between two terms, giving up once it exceeds a limit
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Edit distance, or limit + 1 when larger than limit
+ */
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Build a search index
+ * @param {Array<Object>} products - Catalog products
+ * @returns {Object} Search index ({ products, postings, terms })
+ */
+export const buildSearchIndex = (products) => {
+  // term -> Map<position in products, boost of the fields the term appears in>
+  const postings = new Map();
+
+  products.forEach((product, position) => {
+    Object.entries(SEARCH_FIELDS).forEach(([field, boost]) => {
+      new Set(tokenize(product[field])).forEach(term => {
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+        }
+        const entries = postings.get(term);
+        entries.set(position, (entries.get(position) || 0) + boost);
+      });
+    });
+  });
+
+  return {
+    products,
+    postings,
+    terms: [...postings.keys()].sort()
+  };
+};
+
+/**
+ * Get the search index for a products array, building it on first use
+ * @param {Array<Object>} products - Catalog products
+ * @returns {Object} Search index
+ */
+export const getSearchIndex = (products) => {
+  let index = searchIndexCache.get(products);
+  if (!index) {
+    index = buildSearchIndex(products);
+    searchIndexCache.set(products, index);
+  }
+  return index;
+};
+
+/**
+ * Find the indexed terms a query term matches
+ * @param {Object} index - Search index
+ * @param {string} queryTerm - Query term
+ * @returns {Map<string, number>} Matching terms and how well each matches
+ */
+const expandTerm = (index, queryTerm) => {
+  const matches = new Map();
+
+  if (index.postings.has(queryTerm)) {
+    matches.set(queryTerm, EXACT_MATCH);
+  }
+
+  // Prefix matches sit next to each other in the sorted term list
+  if (queryTerm.length >= MIN_PREFIX_LENGTH) {
+    let low = 0;
+    let high = index.terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (index.terms[mid] < queryTerm) low = mid + 1;
+      else high = mid;
+    }
+    for (let i = low; i < index.terms.length && index.terms[i].startsWith(queryTerm); i++) {
+      if (!matches.has(index.terms[i])) {
+        matches.set(index.terms[i], PREFIX_MATCH);
+      }
+    }
+  }
+
+  const typos = maxTypos(queryTerm.length);
+  if (typos > 0) {
+    index.terms.forEach(term => {
+      if (matches.has(term)) return;
+      const distance = editDistance(queryTerm, term, typos);
+      if (distance <= typos) {
+        matches.set(term, FUZZY_MATCH / distance);
+      }
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Split text into plain and highlighted segments
+ * @param {string} text - Text to highlight
+ * @param {Set<string>} terms - Indexed terms to highlight
+ * @returns {Array<{ text: string, highlight: boolean }>} Segments
+ */
+export const highlightText = (text, terms) => {
+  const segments = [];
+  String(text || '').split(/([A-Za-z0-9]+)/).forEach(part => {
+    if (!part) return;
+    const highlight = tokenize(part).some(term => terms.has(term));
+    const last = segments[segments.length - 1];
+    if (last && last.highlight === highlight) {
+      last.text += part;
+    } else {
+      segments.push({ text: part, highlight });
+    }
+  });
+  return segments;
+};
+
+/**
+ * Cut a description down to the text around its first matched term
+ * @param {string} text - Description
+ * @param {Set<string>} terms - Matched terms
+ * @returns {string} Snippet, with ellipses where text was cut
+ */
+const getSnippet = (text, terms) => {
+  if (!text) return '';
+
+  const match = [...text.matchAll(/[A-Za-z0-9]+/g)]
+    .find(word => tokenize(word[0]).some(term => terms.has(term)));
+  const center = match ? match.index : 0;
+
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(text.length, center + SNIPPET_RADIUS);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Search the catalog
+ * Every query term must match (exactly, as a prefix or with typos) in at
+ * least one field. Results are ranked by boosted match quality.
+ * @param {Object} index - Search index
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Most results to return (default 20)
+ * @returns {Array<{ product: Object, score: number, matchedTerms: string[], highlights: Object, snippet: Array }>} Results, best first
+ */
+export const searchProducts = (index, query, { limit = 20 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  let scores = null;
+  const matchedTerms = new Map();
+
+  for (const queryTerm of queryTerms) {
+    const termScores = new Map();
+
+    expandTerm(index, queryTerm).forEach((quality, term) => {
+      index.postings.get(term).forEach((boost, position) => {
+        const score = quality * boost;
+        if (score > (termScores.get(position) || 0)) {
+          termScores.set(position, score);
+        }
+        if (!matchedTerms.has(position)) {
+          matchedTerms.set(position, new Set());
+        }
+        matchedTerms.get(position).add(term);
+      });
+    });
+
+    // Keep only products that matched every query term so far
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, position) => {
+        if (termScores.has(position)) {
+          combined.set(position, score + termScores.get(position));
+        }
+      });
+      scores = combined;
+    }
+
+    if (scores.size === 0) return [];
+  }
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+    .slice(0, limit)
+    .map(([position, score]) => {
+      const product = index.products[position];
+      const terms = matchedTerms.get(position);
+      return {
+        product,
+        score: Math.round(score * 100) / 100,
+        matchedTerms: [...terms],
+        highlights: {
+          productId: highlightText(product.productId, terms),
+          productName: highlightText(product.productName, terms),
+          manufacturer: highlightText(product.manufacturer, terms),
+          certifications: highlightText(product.certifications, terms)
+        },
+        snippet: highlightText(getSnippet(product.description, terms), terms)
+      };
+    });
+};
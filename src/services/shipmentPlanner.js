@@ -0,0 +1,172 @@
+/**
+ * Shipment Planner
+ * Consolidates ordered lines that ship from the same warehouse within the
+ * same delivery window into one shipment, when that cuts freight cost and
+ * no line misses its milestone date
+ */
+
+import businessRules from '../config/businessRules.js';
+import { checkTimeline, getMilestonesForCategory } from './productMatcher.js';
+import { estimateShipmentFreight } from './freightEstimator.js';
+import { allocateQuantity } from './warehouseAllocator.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Dollar amount
+ * @returns {number} Amount rounded to 2 decimals
+ */
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split ordered lines into single-line shipments, one per allocated warehouse
+ * @param {Array<{ product: Object, quantity: number }>} lineItems - Ordered lines
+ * @param {Object} spec - Project specification
+ * @param {Object} destination - Jobsite ({ state, zipCode, tier })
+ * @param {Object} rules - Business rules
+ * @returns {Array<Object>} Line shipments with their delivery estimate, deadline (ms, or null) and stand-alone freight cost
+ */
+const getLineShipments = (lineItems, spec, destination, rules) => lineItems
+  .filter(item => item.quantity > 0)
+  .flatMap(({ product, quantity }) => {
+    // Due by the earliest milestone needing the category, else the project end
+    const requiredBy = getMilestonesForCategory(spec.milestones, product.category)[0];
+    const requiredDate = requiredBy ? requiredBy.targetDate : new Date(spec.projectEndDate);
+    const deadline = Number.isNaN(requiredDate.getTime()) ? null : requiredDate.getTime();
+
+    return allocateQuantity(product, quantity, destination, rules).map(allocation => {
+      const item = { product, quantity: allocation.quantity, warehouseLocation: allocation.warehouseLocation };
+      const { estimatedDelivery } = checkTimeline(
+        { ...product, warehouseLocation: allocation.warehouseLocation, leadTimeDays: allocation.leadTimeDays },
+        requiredDate,
+        destination,
+        spec.projectStartDate,
+        rules
+      );
+
+      return {
+        item,
+        backordered: allocation.backordered > 0,
+        estimatedDelivery,
+        deadline,
+        // Latest it can arrive without slipping: its deadline, or its own
+        // delivery when it is late anyway (no deadline: any time)
+        latestDelivery: deadline === null ? Infinity : Math.max(deadline, estimatedDelivery.getTime()),
+        separateCost: estimateShipmentFreight([item], destination, rules).cost
+      };
+    });
+  });
+
+/**
+ * Group one warehouse's line shipments into consolidated shipments
+ * Lines are taken in delivery order; a line joins the open shipment when it
+ * arrives within the window of the shipment's first line, no line already
+ * in it would slip past its deadline by waiting, and shipping together costs
+ * less than shipping it on its own.
+ * @param {Array<Object>} lineShipments - Line shipments from one warehouse
+ * @param {Object} destination - Jobsite ({ state, zipCode })
+ * @param {Object} rules - Business rules
+ * @returns {Array<{ lines: Array<Object>, freight: Object, latestDelivery: number }>} Shipment groups
+ */
+const groupShipments = (lineShipments, destination, rules) => {
+  const { enabled, windowDays } = rules.freight.consolidation;
+  const groups = [];
+  let open = null;
+
+  [...lineShipments]
+    .sort((a, b) => a.estimatedDelivery - b.estimatedDelivery)
+    .forEach(line => {
+      const fits = enabled && open &&
+        line.estimatedDelivery - open.lines[0].estimatedDelivery <= windowDays * DAY_MS &&
+        line.estimatedDelivery.getTime() <= open.latestDelivery;
+
+      if (fits) {
+        const freight = estimateShipmentFreight(
+          [...open.lines, line].map(l => l.item),
+          destination,
+          rules
+        );
+        if (freight.cost < open.freight.cost + line.separateCost) {
+          open.lines.push(line);
+          open.freight = freight;
+          open.latestDelivery = Math.min(open.latestDelivery, line.latestDelivery);
+          return;
+        }
+      }
+
+      open = {
+        lines: [line],
+        freight: estimateShipmentFreight([line.item], destination, rules),
+        latestDelivery: line.latestDelivery
+      };
+      groups.push(open);
+    });
+
+  return groups;
+};
+
+/**
+ * Plan the shipments for an order
+ * Each line ships from its allocated warehouses (services/warehouseAllocator.js);
+ * lines from one warehouse are consolidated per rules.freight.consolidation.
+ * A consolidated shipment leaves when its last line is ready, so it arrives
+ * with that line.
+ * @param {Array<{ product: Object, quantity: number }>} lineItems - Ordered lines
+ * @param {Object} spec - Project specification (location, zipCode, carrierTier, milestones, dates)
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Object} Shipment plan (see ShipmentPlan in types)
+ */
+export const planShipments = (lineItems, spec = {}, rules = businessRules) => {
+  const destination = { state: spec.location, zipCode: spec.zipCode, tier: spec.carrierTier };
+  const lineShipments = getLineShipments(lineItems, spec, destination, rules);
+
+  const byWarehouse = new Map();
+  lineShipments.forEach(line => {
+    const warehouse = line.item.warehouseLocation;
+    if (!byWarehouse.has(warehouse)) {
+      byWarehouse.set(warehouse, []);
+    }
+    byWarehouse.get(warehouse).push(line);
+  });
+
+  const shipments = [...byWarehouse.values()]
+    .flatMap(lines => groupShipments(lines, destination, rules))
+    .map(({ lines, freight }) => {
+      const estimatedDelivery = lines[lines.length - 1].estimatedDelivery;
+      const deadlines = lines.map(line => line.deadline).filter(deadline => deadline !== null);
+      const separateCost = roundCurrency(lines.reduce((sum, line) => sum + line.separateCost, 0));
+
+      return {
+        ...freight,
+        items: lines.map(line => ({
+          productId: line.item.product.productId,
+          productName: line.item.product.productName,
+          quantity: line.item.quantity,
+          backordered: line.backordered,
+          // Days the line waits for the rest of the shipment
+          heldDays: Math.round((estimatedDelivery - line.estimatedDelivery) / DAY_MS),
+          meetsTimeline: line.deadline === null || estimatedDelivery.getTime() <= line.deadline
+        })),
+        consolidated: lines.length > 1,
+        estimatedDelivery,
+        requiredDate: deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null,
+        meetsTimeline: deadlines.every(deadline => estimatedDelivery.getTime() <= deadline),
+        separateCost,
+        savings: roundCurrency(separateCost - freight.cost)
+      };
+    })
+    .sort((a, b) => a.estimatedDelivery - b.estimatedDelivery);
+
+  const cost = roundCurrency(shipments.reduce((sum, s) => sum + s.cost, 0));
+  const separateCost = roundCurrency(lineShipments.reduce((sum, line) => sum + line.separateCost, 0));
+
+  return {
+    shipments,
+    billableWeight: Math.round(shipments.reduce((sum, s) => sum + s.billableWeight, 0) * 10) / 10,
+    cost,
+    separateShipmentCount: lineShipments.length,
+    separateCost,
+    savings: roundCurrency(separateCost - cost)
+  };
+};
@@ -0,0 +1,164 @@
+/**
+ * Substitute Finder
+ * Suggests alternatives to a chosen product from the same category and unit,
+ * ranked by how similar they are (price band, certifications, warranty), with
+ * a summary of what changes if the rep swaps
+ */
+
+import businessRules from '../config/businessRules.js';
+import { getProductSets } from './catalogIndex.js';
+
+// Display text for each substitute issue
+export const SUBSTITUTE_ISSUE_LABELS = {
+  outOfStock: 'out of stock',
+  shortStock: 'not enough stock',
+  late: 'arrives late',
+  overBudget: 'project is over budget'
+};
+
+/**
+ * Get the problems with a match that a substitute should fix
+ * @param {Object} match - Product match
+ * @param {Object} options - Options
+ * @param {boolean} options.overBudget - Whether the project is over budget
+ * @param {Object} options.rules - Business rules (default: config/businessRules.js)
+ * @returns {string[]} Issues: 'outOfStock', 'shortStock', 'late', 'overBudget'
+ */
+export const getSubstituteIssues = (match, { overBudget = false, rules = businessRules } = {}) => {
+  const issues = [];
+
+  if (match.product.stockQty < rules.filtering.minStockQuantity) {
+    issues.push('outOfStock');
+  } else if (match.product.stockQty < (match.quantityNeeded || 0)) {
+    issues.push('shortStock');
+  }
+  if (match.meetsTimeline === false) {
+    issues.push('late');
+  }
+  if (overBudget) {
+    issues.push('overBudget');
+  }
+
+  return issues;
+};
+
+/**
+ * Score how similar a candidate is to a product
+ * @param {Object} product - Product being replaced
+ * @param {Object} candidate - Possible substitute
+ * @param {Object} substituteRules - rules.substitutes
+ * @returns {number|null} Similarity (0-100), or null when outside the price band
+ */
+const scoreSimilarity = (product, candidate, substituteRules) => {
+  const { weights, priceBand } = substituteRules;
+
+  const priceDifference = product.price > 0
+    ? Math.abs(candidate.price - product.price) / product.price
+    : 0;
+  if (priceDifference > priceBand) return null;
+
+  let points = weights.price * (1 - priceDifference / priceBand);
+
+  const required = getProductSets(product).certifications;
+  const offered = getProductSets(candidate).certifications;
+  const kept = [...required].filter(cert => offered.has(cert)).length;
+  points += required.size > 0 ? weights.certifications * (kept / required.size) : weights.certifications;
+
+  const longestWarranty = Math.max(product.warrantyYears, candidate.warrantyYears);
+  points += longestWarranty > 0
+    ? weights.warranty * (1 - Math.abs(candidate.warrantyYears - product.warrantyYears) / longestWarranty)
+    : weights.warranty;
+
+  const maxPoints = weights.price + weights.certifications + weights.warranty;
+  return Math.round((points / maxPoints) * 100);
+};
+
+/**
+ * Describe what changes when swapping one match for another
+ * @param {Object} match - Match being replaced
+ * @param {Object} substitute - Substitute match
+ * @returns {Object} Deltas and a one-line summary
+ */
+export const describeSubstitute = (match, substitute) => {
+  const product = match.product;
+  const candidate = substitute.product;
+  const productCerts = getProductSets(product).certifications;
+  const candidateCerts = getProductSets(candidate).certifications;
+
+  const deltas = {
+    price: candidate.price - product.price,
+    leadTimeDays: substitute.totalLeadTime - match.totalLeadTime,
+    warrantyYears: candidate.warrantyYears - product.warrantyYears,
+    gainedCertifications: [...candidateCerts].filter(cert => !productCerts.has(cert)),
+    lostCertifications: [...productCerts].filter(cert => !candidateCerts.has(cert))
+  };
+
+  const parts = [];
+  if (Math.abs(deltas.price) >= 0.01) {
+    parts.push(`$${Math.abs(deltas.price).toFixed(2)} ${deltas.price < 0 ? 'cheaper' : 'more'}`);
+  }
+  if (deltas.leadTimeDays !== 0 && !Number.isNaN(deltas.leadTimeDays)) {
+    parts.push(`${Math.abs(deltas.leadTimeDays)} days ${deltas.leadTimeDays < 0 ? 'faster' : 'slower'}`);
+  }
+  if (deltas.warrantyYears !== 0) {
+    parts.push(`${deltas.warrantyYears > 0 ? '+' : '-'}${Math.abs(deltas.warrantyYears)} yr warranty`);
+  }
+  if (product.stockQty <= 0 && candidate.stockQty > 0) {
+    parts.push('in stock');
+  }
+  if (deltas.gainedCertifications.length > 0) {
+    parts.push(`gains ${deltas.gainedCertifications.join(', ')}`);
+  }
+  if (deltas.lostCertifications.length > 0) {
+    parts.push(`loses ${deltas.lostCertifications.join(', ')}`);
+  }
+
+  const summary = parts.length > 0 ? parts.join(', ') : 'Same price, lead time and warranty';
+
+  return {
+    deltas,
+    summary: summary.charAt(0).toUpperCase() + summary.slice(1)
+  };
+};
+
+/**
+ * Find ranked substitutes for a match
+ * Candidates must be in the same category and unit and, for each issue given, fix it
+ * (in stock, enough stock for the quantity needed, on time, cheaper per unit).
+ * @param {Object} match - Match to replace
+ * @param {Array<Object>} candidates - Matches to choose from (usually analysis.recommendedProducts)
+ * @param {Object} options - Options
+ * @param {string[]} options.issues - Issues substitutes must fix (see getSubstituteIssues)
+ * @param {number} options.limit - Most substitutes to return (default: rules.substitutes.maxResults)
+ * @param {Object} options.rules - Business rules (default: config/businessRules.js)
+ * @returns {Array<{ match: Object, similarity: number, deltas: Object, summary: string }>} Substitutes, most similar first
+ */
+export const findSubstitutes = (match, candidates, { issues = [], limit, rules = businessRules } = {}) => {
+  const substituteRules = rules.substitutes;
+  const product = match.product;
+
+  const substitutes = [];
+  candidates.forEach(candidate => {
+    const other = candidate.product;
+    if (other.productId === product.productId) return;
+    if (other.category !== product.category || other.unit !== product.unit) return;
+
+    if (issues.includes('outOfStock') && other.stockQty < rules.filtering.minStockQuantity) return;
+    if (issues.includes('shortStock') && other.stockQty < match.quantityNeeded) return;
+    if (issues.includes('late') && !candidate.meetsTimeline) return;
+    if (issues.includes('overBudget') && other.price >= product.price) return;
+
+    const similarity = scoreSimilarity(product, other, substituteRules);
+    if (similarity === null || similarity < substituteRules.minSimilarity) return;
+
+    substitutes.push({
+      match: candidate,
+      similarity,
+      ...describeSubstitute(match, candidate)
+    });
+  });
+
+  return substitutes
+    .sort((a, b) => b.similarity - a.similarity || b.match.matchScore - a.match.matchScore)
+    .slice(0, limit !== undefined ? limit : substituteRules.maxResults);
+};
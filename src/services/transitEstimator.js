@@ -0,0 +1,134 @@
+/**
+ * Transit Estimator
+ * Estimates shipping transit days from the great-circle distance between
+ * the warehouse and the jobsite ZIP code, at the speed of a carrier tier.
+ * Falls back to the regional estimate when the ZIP code is unknown.
+ */
+
+import businessRules from '../config/businessRules.js';
+import { calculateShippingDays } from '../utils/csvParser.js';
+import { STATE_CENTROIDS, ZIP3_RANGES, ZIP3_CENTROIDS } from '../utils/zipCentroids.js';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Shipments to or from these states cross water
+const NON_CONTIGUOUS_STATES = ['AK', 'HI'];
+
+/**
+ * Look up where a ZIP code is
+ * @param {string} zipCode - 5-digit ZIP code (ZIP+4 accepted)
+ * @returns {{ zip3: string, state: string, coordinates: number[], precision: string }|null} Location ('metro' or 'state' precision), or null when unknown
+ */
+export const lookupZipCode = (zipCode) => {
+  const match = /^(\d{3})\d{2}(-\d{4})?$/.exec(String(zipCode || '').trim());
+  if (!match) return null;
+
+  const zip3 = match[1];
+  const prefix = parseInt(zip3, 10);
+  const range = ZIP3_RANGES.find(([first, last]) => prefix >= first && prefix <= last);
+  if (!range) return null;
+
+  const state = range[2];
+  return ZIP3_CENTROIDS[zip3]
+    ? { zip3, state, coordinates: ZIP3_CENTROIDS[zip3], precision: 'metro' }
+    : { zip3, state, coordinates: STATE_CENTROIDS[state], precision: 'state' };
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {number[]} from - [latitude, longitude]
+ * @param {number[]} to - [latitude, longitude]
+ * @returns {number} Distance in miles
+ */
+export const greatCircleMiles = ([lat1, lon1], [lat2, lon2]) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Distance from a warehouse to a jobsite
+ * Uses the ZIP code when it is known and in the project state, otherwise
+ * the project state's center.
+ * @param {Object} shipment - Shipment ({ warehouseState, destinationState, zipCode })
+ * @returns {{ miles: number, precision: string }|null} Great-circle miles and the destination precision ('metro' or 'state'), or null when a state is unknown
+ */
+export const getShipmentDistance = ({ warehouseState, destinationState, zipCode }) => {
+  const origin = STATE_CENTROIDS[warehouseState];
+  const zip = lookupZipCode(zipCode);
+  const destination = zip && zip.state === destinationState
+    ? zip
+    : STATE_CENTROIDS[destinationState] && { coordinates: STATE_CENTROIDS[destinationState], precision: 'state' };
+
+  if (!origin || !destination) return null;
+  return {
+    miles: Math.round(greatCircleMiles(origin, destination.coordinates)),
+    precision: destination.precision
+  };
+};
+
+/**
+ * Get a carrier tier, falling back to the default tier
+ * @param {string} tier - Tier key (e.g. 'ground', 'ltl', 'expedited')
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {{ id: string, label: string, milesPerDay: number, handlingDays: number, minDays: number }} Carrier tier
+ */
+export const getCarrierTier = (tier, rules = businessRules) => {
+  const id = rules.transit.tiers[tier] ? tier : rules.transit.defaultTier;
+  return { id, ...rules.transit.tiers[id] };
+};
+
+/**
+ * Estimate transit days from a warehouse to a jobsite
+ * Warehouses are located by state; the jobsite by ZIP code. A ZIP code that
+ * is missing, unknown or in another state than the project uses the
+ * regional estimate (calculateShippingDays) instead.
+ * @param {Object} shipment - Shipment to estimate
+ * @param {string} shipment.warehouseState - Warehouse state code
+ * @param {string} shipment.destinationState - Project state code
+ * @param {string} shipment.zipCode - Project ZIP code (optional)
+ * @param {string} shipment.tier - Carrier tier (default: rules.transit.defaultTier)
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {{ days: number, method: string, distanceMiles: number|null, tier: string, tierLabel: string, precision: string|null }} Transit estimate ('distance' or 'region' method)
+ */
+export const estimateTransit = ({ warehouseState, destinationState, zipCode, tier }, rules = businessRules) => {
+  const carrier = getCarrierTier(tier, rules);
+  const destination = lookupZipCode(zipCode);
+  const origin = STATE_CENTROIDS[warehouseState];
+
+  if (!destination || !origin || destination.state !== destinationState) {
+    return {
+      days: calculateShippingDays(warehouseState, destinationState),
+      method: 'region',
+      distanceMiles: null,
+      tier: carrier.id,
+      tierLabel: carrier.label,
+      precision: null
+    };
+  }
+
+  const distanceMiles = Math.round(greatCircleMiles(origin, destination.coordinates));
+  const roadMiles = distanceMiles * rules.transit.circuityFactor;
+  let days = Math.max(
+    carrier.minDays,
+    carrier.handlingDays + Math.ceil(roadMiles / carrier.milesPerDay)
+  );
+
+  const crossesWater = warehouseState !== destinationState &&
+    (NON_CONTIGUOUS_STATES.includes(warehouseState) || NON_CONTIGUOUS_STATES.includes(destinationState));
+  if (crossesWater) {
+    days += rules.transit.nonContiguousExtraDays;
+  }
+
+  return {
+    days,
+    method: 'distance',
+    distanceMiles,
+    tier: carrier.id,
+    tierLabel: carrier.label,
+    precision: destination.precision
+  };
+};
@@ -0,0 +1,81 @@
+/**
+ * Warehouse Allocator
+ * Splits an order quantity across the warehouses a product is stocked in,
+ * nearest to the jobsite first, without taking more than each one has
+ */
+
+import businessRules from '../config/businessRules.js';
+import { getProductWarehouses } from './catalogIndex.js';
+import { getShipmentDistance } from './transitEstimator.js';
+
+/**
+ * Rank a product's warehouses by distance to the jobsite
+ * Ties (and warehouses whose distance is unknown, which go last) are
+ * broken by shorter lead time.
+ * @param {Object} product - Product
+ * @param {Object} destination - Jobsite ({ state, zipCode })
+ * @returns {Array<{ location: string, stockQty: number, leadTimeDays: number, distanceMiles: number|null }>} Warehouses, nearest first
+ */
+export const rankWarehouses = (product, destination) => getProductWarehouses(product)
+  .map(warehouse => {
+    const distance = getShipmentDistance({
+      warehouseState: warehouse.location,
+      destinationState: destination.state,
+      zipCode: destination.zipCode
+    });
+    return { ...warehouse, distanceMiles: distance ? distance.miles : null };
+  })
+  .sort((a, b) => {
+    if (a.distanceMiles !== b.distanceMiles) {
+      if (a.distanceMiles === null) return 1;
+      if (b.distanceMiles === null) return -1;
+      return a.distanceMiles - b.distanceMiles;
+    }
+    return a.leadTimeDays - b.leadTimeDays;
+  });
+
+/**
+ * Allocate a quantity across a product's warehouses
+ * Each warehouse ships what it has in stock, nearest first. Whatever no
+ * warehouse has is backordered from the nearest one as a separate shipment,
+ * which waits for a restock (lead time again, times
+ * timeline.restockLeadTimeFactor).
+ * @param {Object} product - Product
+ * @param {number} quantity - Quantity to allocate
+ * @param {Object} destination - Jobsite ({ state, zipCode })
+ * @param {Object} rules - Business rules (default: config/businessRules.js)
+ * @returns {Array<{ warehouseLocation: string, quantity: number, backordered: number, leadTimeDays: number, distanceMiles: number|null }>} Allocations from stock, nearest first, then the backorder (backordered equals quantity)
+ */
+export const allocateQuantity = (product, quantity, destination, rules = businessRules) => {
+  const ranked = rankWarehouses(product, destination);
+  const allocations = [];
+  let remaining = quantity;
+
+  ranked.forEach(warehouse => {
+    const fromStock = Math.min(remaining, warehouse.stockQty);
+    if (fromStock <= 0) return;
+
+    allocations.push({
+      warehouseLocation: warehouse.location,
+      quantity: fromStock,
+      backordered: 0,
+      leadTimeDays: warehouse.leadTimeDays,
+      distanceMiles: warehouse.distanceMiles
+    });
+    remaining -= fromStock;
+  });
+
+  if (remaining > 0 && ranked.length > 0) {
+    const nearest = ranked[0];
+    allocations.push({
+      warehouseLocation: nearest.location,
+      quantity: remaining,
+      backordered: remaining,
+      leadTimeDays: nearest.leadTimeDays +
+        Math.ceil(nearest.leadTimeDays * rules.timeline.restockLeadTimeFactor),
+      distanceMiles: nearest.distanceMiles
+    });
+  }
+
+  return allocations;
+};
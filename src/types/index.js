@@ -13,6 +13,8 @@
  * @property {number} stockQty - Available stock quantity
  * @property {number} leadTimeDays - Lead time in days
  * @property {string} warehouseLocation - Warehouse state code
+ * @property {Warehouse[]} warehouses - Stock by warehouse, one per catalog row (stockQty is their total)
+ * @property {number} [reservedQty] - Stock held by reservations ahead of the project being matched, already taken out of stockQty (see applyReservations)
  * @property {number} weight - Weight in lbs
  * @property {string} dimensions - Dimensions as "LxWxH"
  * @property {string} restrictedStates - Semicolon-separated state codes where product is restricted
@@ -45,17 +47,23 @@
  * @property {string} location - State code where project is located
  * @property {string} city - City name
  * @property {string} zipCode - ZIP code
+ * @property {string} carrierTier - Carrier tier for transit estimates (key of rules.transit.tiers, optional)
  * @property {number} maxBudget - Maximum budget in dollars
  * @property {Date} projectStartDate - Project start date
  * @property {Date} projectEndDate - Project end date
  * @property {ProjectMilestone[]} milestones - Project milestones with timelines
  * @property {string[]} requiredCategories - Required product categories
- * @property {string[]} preferredManufacturers - Preferred manufacturers (optional)
+ * @property {Object<string, number>} categoryQuantities - Quantity needed per category, in the product's unit (optional)
+ * @property {Object<string, number>} productQuantities - Quantity needed per productId, overrides categoryQuantities (optional)
+ * @property {string[]} preferredManufacturers - Manufacturers to score higher (optional)
+ * @property {string[]} excludedManufacturers - Manufacturers never to recommend (optional)
  * @property {boolean} requireCertifications - Whether certifications are required
  * @property {string[]} requiredCertifications - Specific required certifications
+ * @property {Object<string, string>} minFireRatings - Minimum fire rating per category, e.g. { Roofing: 'Class A' } (optional)
  * @property {boolean} ecoFriendlyPreference - Prefer eco-friendly products
  * @property {boolean} sustainablePreference - Prefer sustainable products
  * @property {string} installationCapability - Installation capability (DIY, Professional)
+ * @property {string} customerTier - Customer pricing tier (Standard, Premium)
  * @property {string} notes - Additional notes or requirements
  */
 
@@ -64,12 +72,156 @@
  * @typedef {Object} ProductMatch
  * @property {Product} product - The matched product
  * @property {number} matchScore - Match score (0-100)
+ * @property {number} rawScore - Sum of breakdown points before clamping to 0-100
+ * @property {ScoreEntry[]} scoreBreakdown - Points contributed by each scoring criterion
  * @property {string[]} matchReasons - Reasons for the match
  * @property {string[]} warnings - Any warnings about the product
  * @property {number} estimatedShippingDays - Estimated shipping days to location
+ * @property {TransitEstimate} transit - How the shipping days were estimated
+ * @property {number} totalLeadTime - Calendar days from order to estimated delivery
  * @property {Date} estimatedDelivery - Estimated delivery date
  * @property {boolean} meetsTimeline - Whether product can meet project timeline
- * @property {string[]} applicableMilestones - Milestones this product applies to
+ * @property {number} daysMargin - Days before (positive) or after (negative) the deadline
+ * @property {DeliveryAssumptions} deliveryAssumptions - Calendar assumptions behind estimatedDelivery
+ * @property {number} quantityNeeded - Quantity the project needs
+ * @property {number} orderQuantity - Quantity to order, rounded up to multiples of minOrderQty
+ * @property {number} lineTotal - Extended price (price * orderQuantity)
+ * @property {Shipment[]} shipments - Where orderQuantity ships from, nearest warehouse first, then any backorder
+ * @property {StockAvailability} stock - Stock on hand against orderQuantity
+ * @property {{ shipments: FreightShipment[], billableWeight: number, cost: number }} freight - Freight for orderQuantity shipped on its own
+ * @property {number} landedCost - lineTotal plus freight.cost
+ * @property {string[]} applicableMilestones - IDs of milestones this product applies to, earliest first
+ * @property {MilestoneCheck[]} milestoneChecks - Delivery check against each applicable milestone
+ */
+
+/**
+ * Points one scoring criterion contributed to a match score
+ * @typedef {Object} ScoreEntry
+ * @property {string} criterion - Criterion key (e.g. 'projectType', 'timeline')
+ * @property {string} label - Display label
+ * @property {string} explanation - What the criterion measures
+ * @property {number} points - Points awarded after weighting (negative for penalties)
+ * @property {number|null} maxPoints - Most points the criterion could award (null for custom rules)
+ * @property {number} weight - Multiplier from rules.scoringPipeline.weights (default 1)
+ * @property {string} rule - Business rule the points came from (e.g. 'scoring.projectTypeMatch')
+ * @property {string} detail - Why the points were or weren't awarded
+ */
+
+/**
+ * Delivery check of a product against one milestone
+ * @typedef {Object} MilestoneCheck
+ * @property {string} milestoneId - Milestone identifier
+ * @property {string} name - Milestone name
+ * @property {Date} targetDate - Milestone target date
+ * @property {boolean} critical - Whether the milestone is on the critical path
+ * @property {boolean} meetsTimeline - Whether the product arrives by the target date
+ * @property {number} daysMargin - Days before (positive) or after (negative) the target date
+ */
+
+/**
+ * Transit estimate from a warehouse to the jobsite
+ * @typedef {Object} TransitEstimate
+ * @property {number} days - Transit days
+ * @property {string} method - 'distance' (from the ZIP code) or 'region' (fallback)
+ * @property {number|null} distanceMiles - Great-circle miles (null for the region method)
+ * @property {string} tier - Carrier tier key
+ * @property {string} tierLabel - Carrier tier label
+ * @property {string|null} precision - ZIP location precision ('metro' or 'state')
+ */
+
+/**
+ * Stock held at one warehouse
+ * @typedef {Object} Warehouse
+ * @property {string} location - Warehouse state code
+ * @property {number} stockQty - Stock at this warehouse
+ * @property {number} leadTimeDays - Lead time from this warehouse
+ */
+
+/**
+ * Stock on hand against a quantity
+ * @typedef {Object} StockAvailability
+ * @property {string} status - 'in-stock', 'partial' or 'out-of-stock'
+ * @property {number} quantity - Quantity wanted
+ * @property {number} available - Part of quantity on hand
+ * @property {number} shortfall - Part of quantity backordered
+ * @property {Date|null} shortfallDelivery - When the backordered part arrives
+ */
+
+/**
+ * Stock held for a saved project
+ * @typedef {Object} Reservation
+ * @property {string} projectId - Saved project ID
+ * @property {string} projectName - Project name
+ * @property {string} reservedBy - Username of the rep who saved it
+ * @property {string} updatedAt - ISO timestamp of the last save
+ * @property {string} expiresAt - ISO timestamp the hold lapses (rules.reservations.holdDays after updatedAt)
+ * @property {Object<string, { quantity: number, reservedAt: string }>} items - Ordered quantity per productId, with its place in line
+ */
+
+/**
+ * Part of an order allocated to one warehouse
+ * @typedef {Object} Shipment
+ * @property {string} warehouseLocation - Warehouse state code
+ * @property {number} quantity - Quantity shipped from this warehouse
+ * @property {number} backordered - Quantity backordered (all of quantity for the backorder shipment, else 0)
+ * @property {number} leadTimeDays - Lead time from this warehouse
+ * @property {number|null} distanceMiles - Great-circle miles to the jobsite
+ * @property {number} estimatedShippingDays - Transit days
+ * @property {Date} estimatedDelivery - Estimated delivery date
+ * @property {boolean} meetsTimeline - Whether this shipment arrives by the deadline
+ * @property {number} daysMargin - Days before (positive) or after (negative) the deadline
+ * @property {number} freightCost - Freight for this shipment
+ */
+
+/**
+ * Freight estimate for one shipment from a warehouse
+ * @typedef {Object} FreightShipment
+ * @property {string} warehouseLocation - Warehouse state code
+ * @property {Array<{ productId: string, quantity: number }>} items - Items in the shipment
+ * @property {number} actualWeight - Actual weight (lbs)
+ * @property {number} dimensionalWeight - Dimensional weight (lbs)
+ * @property {number} billableWeight - Larger of actual and dimensional weight (lbs)
+ * @property {string} mode - 'parcel', 'ltl' or 'ftl'
+ * @property {string} modeLabel - Display label for the mode
+ * @property {number} trucks - Trucks used (0 unless full truckload)
+ * @property {number} distanceMiles - Great-circle miles to the jobsite
+ * @property {number} cost - Freight cost
+ */
+
+/**
+ * Planned shipments for an order, consolidated per warehouse and delivery window
+ * @typedef {Object} ShipmentPlan
+ * @property {PlannedShipment[]} shipments - Shipments, earliest delivery first
+ * @property {number} billableWeight - Total billable weight (lbs)
+ * @property {number} cost - Freight for the planned shipments
+ * @property {number} separateShipmentCount - Shipments if every line shipped on its own
+ * @property {number} separateCost - Freight if every line shipped on its own
+ * @property {number} savings - separateCost minus cost
+ */
+
+/**
+ * One planned shipment: a FreightShipment plus its delivery and savings
+ * @typedef {Object} PlannedShipment
+ * @property {Array<{ productId: string, productName: string, quantity: number, backordered: boolean, heldDays: number, meetsTimeline: boolean }>} items - Lines in the shipment (heldDays: days a line waits for the rest; meetsTimeline: arrives by the line's own deadline)
+ * @property {boolean} consolidated - Whether more than one line ships together
+ * @property {Date} estimatedDelivery - When the shipment (its last line) arrives
+ * @property {Date|null} requiredDate - Earliest deadline of its lines
+ * @property {boolean} meetsTimeline - Whether every line arrives by its deadline
+ * @property {number} separateCost - Freight for its lines shipped separately
+ * @property {number} savings - separateCost minus cost
+ */
+
+/**
+ * Calendar assumptions behind a delivery estimate
+ * @typedef {Object} DeliveryAssumptions
+ * @property {boolean} businessDaysOnly - Whether days were counted as business days
+ * @property {number} leadTimeDays - Supplier lead time
+ * @property {number} transitDays - Shipping transit time
+ * @property {number} safetyBufferDays - Safety buffer (rules.timeline.safetyBufferDays)
+ * @property {number|null} businessDays - Business days counted (null for calendar-day counting)
+ * @property {number} weekendDaysSkipped - Weekend days skipped
+ * @property {Array<{ date: string, name: string }>} holidaysSkipped - Holidays skipped
+ * @property {number} weekendAdjustment - Flat days added for calendar-day counting
  */
 
 /**
@@ -79,11 +231,24 @@
  * @property {ProductMatch[]} recommendedProducts - Recommended products sorted by match score
  * @property {number} estimatedTotalCost - Estimated total cost
  * @property {Object} categoryBreakdown - Cost breakdown by category
- * @property {Object} timelineAnalysis - Timeline feasibility analysis
+ * @property {Object} billOfMaterials - Budget-optimized selection from optimizeBillOfMaterials (selection, runnerUps, tradeOffs)
+ * @property {Object} timelineAnalysis - Timeline feasibility analysis; criticalPath lists recommended products that slip critical milestones
  * @property {string[]} risks - Identified risks or concerns
+ * @property {string[]} preferredManufacturerGaps - Categories with no product from a preferred manufacturer
+ * @property {{ fireRatings: Object<string, FireRatingRequirement> }} compliance - Fire rating requirements for the project's categories
  * @property {string[]} recommendations - General recommendations
  */
 
+/**
+ * Minimum fire rating a category must meet
+ * @typedef {Object} FireRatingRequirement
+ * @property {string} minRating - Strictest applicable rating (Class A, B or C)
+ * @property {string[]} sources - Where minRating comes from (e.g. 'CA code', 'Commercial projects', 'project specification')
+ * @property {string|null} codeMinimum - Strictest state or project-type code default
+ * @property {string|null} specifiedRating - Rating from the project specification
+ * @property {number} compliantProducts - Recommended products meeting minRating (analysis only)
+ */
+
 /**
  * Filter criteria for products
  * @typedef {Object} FilterCriteria
@@ -95,7 +260,11 @@
  * @property {boolean} inStockOnly - Only show in-stock items
  * @property {number} maxLeadTime - Maximum acceptable lead time
  * @property {boolean} ecoFriendlyOnly - Only eco-friendly products
- * @property {string[]} requiredCertifications - Required certifications
+ * @property {string[]} requiredCertifications - Required certifications (products must have all)
+ * @property {string[]} manufacturers - Filter by manufacturers
+ * @property {string[]} warehouseLocations - Filter by warehouse state codes
+ * @property {string[]} fireRatings - Filter by fire ratings ('Unrated' for none)
+ * @property {string[]} installationDifficulties - Filter by installation difficulty
  */
 
 export const PROJECT_TYPES = [
@@ -190,6 +359,11 @@ export const CERTIFICATIONS = [
   'ASTM Compliant'
 ];
 
+export const CUSTOMER_TIERS = [
+  'Standard',
+  'Premium'
+];
+
 export const INSTALLATION_LEVELS = [
   'Easy',
   'Moderate',
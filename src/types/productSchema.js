@@ -0,0 +1,65 @@
+// Declarative schema for the Product typedef, used to validate catalog rows
+
+import {
+  PROJECT_TYPES,
+  PRODUCT_CATEGORIES,
+  US_STATES,
+  CERTIFICATIONS,
+  INSTALLATION_LEVELS
+} from './index.js';
+
+const STATE_CODES = US_STATES.map(state => state.code);
+const YES_NO = ['Yes', 'No'];
+
+export const PRODUCT_UNITS = ['ea', 'ft', 'sqft', 'bundle', 'box'];
+
+export const FIRE_RATINGS = ['Class A', 'Class B', 'Class C'];
+
+// Columns that may differ between rows of a product stocked in several warehouses
+export const WAREHOUSE_COLUMNS = ['warehouseLocation', 'stockQty', 'leadTimeDays'];
+
+/**
+ * Schema field definition
+ * @typedef {Object} SchemaField
+ * @property {string} type - 'string', 'number', 'integer', 'enum' or 'list' (semicolon-separated)
+ * @property {boolean} required - Whether an empty value is an error
+ * @property {*} default - Value used when an optional field is empty
+ * @property {string[]} values - Allowed values for enum and list fields
+ * @property {number} min - Minimum for number and integer fields
+ * @property {RegExp} pattern - Pattern string fields must match
+ * @property {string} severity - Severity of value/pattern violations ('error' or 'warning', default 'error')
+ */
+
+/**
+ * Product catalog schema, keyed by CSV column
+ * @type {Object<string, SchemaField>}
+ */
+export const PRODUCT_SCHEMA = {
+  productId: { type: 'string', required: true, pattern: /^\S+$/ },
+  productName: { type: 'string', required: true },
+  category: { type: 'enum', required: true, values: PRODUCT_CATEGORIES },
+  manufacturer: { type: 'string', required: true },
+  price: { type: 'number', required: true, min: 0 },
+  unit: { type: 'enum', required: true, values: PRODUCT_UNITS },
+  minOrderQty: { type: 'integer', default: 1, min: 1 },
+  stockQty: { type: 'integer', default: 0, min: 0 },
+  leadTimeDays: { type: 'integer', default: 0, min: 0 },
+  warehouseLocation: { type: 'enum', required: true, values: STATE_CODES },
+  weight: { type: 'number', default: 0, min: 0 },
+  dimensions: {
+    type: 'string',
+    default: '',
+    pattern: /^\d+(\.\d+)?x\d+(\.\d+)?x\d+(\.\d+)?$/,
+    severity: 'warning'
+  },
+  restrictedStates: { type: 'list', default: '', values: STATE_CODES },
+  applicableProjectTypes: { type: 'list', default: '', values: PROJECT_TYPES, severity: 'warning' },
+  certifications: { type: 'list', default: '', values: CERTIFICATIONS, severity: 'warning' },
+  ecoFriendly: { type: 'enum', default: 'No', values: YES_NO },
+  recyclable: { type: 'enum', default: 'No', values: YES_NO },
+  sustainableSource: { type: 'enum', default: 'No', values: YES_NO },
+  warrantyYears: { type: 'number', default: 0, min: 0 },
+  fireRating: { type: 'enum', default: '', values: FIRE_RATINGS },
+  installationDifficulty: { type: 'enum', required: true, values: INSTALLATION_LEVELS },
+  description: { type: 'string', default: '' }
+};
@@ -0,0 +1,54 @@
+/**
+ * Catalog Storage
+ * Persists an accepted catalog import in localStorage so it replaces the
+ * bundled products.csv until it is cleared
+ */
+
+const STORAGE_KEY = 'acceptedCatalog';
+
+/**
+ * Get the accepted catalog, if one has been imported
+ * @returns {Object|null} Stored catalog ({ csvText, fileName, acceptedAt, acceptedBy, productCount }) or null
+ */
+export const getStoredCatalog = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable stored catalog:', error);
+    return null;
+  }
+};
+
+/**
+ * Persist an accepted catalog
+ * The raw CSV text is stored rather than parsed products, since it is much
+ * smaller and is re-validated on every load.
+ * @param {string} csvText - Raw CSV text of the accepted catalog
+ * @param {Object} meta - Import details ({ fileName, acceptedBy, productCount })
+ * @returns {Object} Stored catalog
+ */
+export const saveStoredCatalog = (csvText, meta = {}) => {
+  const catalog = {
+    csvText,
+    fileName: meta.fileName || '',
+    acceptedBy: meta.acceptedBy || '',
+    productCount: meta.productCount || 0,
+    acceptedAt: new Date().toISOString()
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(catalog));
+  } catch (error) {
+    throw new Error('The catalog is too large to store in this browser');
+  }
+
+  return catalog;
+};
+
+/**
+ * Remove the accepted catalog so the bundled catalog is used again
+ */
+export const clearStoredCatalog = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
@@ -0,0 +1,234 @@
+/**
+ * Catalog Validator
+ * Validates raw catalog rows against the product schema and produces a
+ * row-level health report instead of silently coercing bad values
+ */
+
+import { PRODUCT_SCHEMA, WAREHOUSE_COLUMNS } from '../types/productSchema.js';
+
+/**
+ * Create a validation issue
+ * @param {string} severity - 'error' or 'warning'
+ * @param {number} line - CSV line number (1 for header-level issues)
+ * @param {string} productId - Product ID of the row, if known
+ * @param {string} column - Column name, if the issue is column-specific
+ * @param {string} value - Offending value
+ * @param {string} message - Human-readable description
+ * @returns {Object} Issue
+ */
+const createIssue = (severity, line, productId, column, value, message) => ({
+  severity,
+  line,
+  productId: productId || '',
+  column: column || '',
+  value: value === undefined ? '' : value,
+  message
+});
+
+/**
+ * Validate and convert a single value against its schema field
+ * @param {string} rawValue - Raw CSV value
+ * @param {Object} field - Schema field definition
+ * @returns {{ value: *, error: string|null, warning: string|null }} Converted value and any problem
+ */
+export const validateValue = (rawValue, field) => {
+  const value = (rawValue === undefined || rawValue === null ? '' : String(rawValue)).trim();
+  const violation = (message) => (
+    field.severity === 'warning'
+      ? { value, error: null, warning: message }
+      : { value, error: message, warning: null }
+  );
+
+  if (value === '') {
+    if (field.required) {
+      return { value, error: 'Required value is missing', warning: null };
+    }
+    return { value: field.default !== undefined ? field.default : '', error: null, warning: null };
+  }
+
+  switch (field.type) {
+    case 'number':
+    case 'integer': {
+      const num = Number(value);
+      if (!Number.isFinite(num)) {
+        return { value, error: `"${value}" is not a number`, warning: null };
+      }
+      if (field.type === 'integer' && !Number.isInteger(num)) {
+        return { value, error: `"${value}" is not a whole number`, warning: null };
+      }
+      if (field.min !== undefined && num < field.min) {
+        return { value, error: `${num} is below the minimum of ${field.min}`, warning: null };
+      }
+      return { value: num, error: null, warning: null };
+    }
+
+    case 'enum':
+      if (!field.values.includes(value)) {
+        return violation(`"${value}" is not one of: ${field.values.join(', ')}`);
+      }
+      return { value, error: null, warning: null };
+
+    case 'list': {
+      const unknown = value
+        .split(';')
+        .map(item => item.trim())
+        .filter(item => item && !field.values.includes(item));
+      if (unknown.length > 0) {
+        return violation(`Unknown value(s): ${unknown.join(', ')}`);
+      }
+      return { value, error: null, warning: null };
+    }
+
+    default:
+      if (field.pattern && !field.pattern.test(value)) {
+        return violation(`"${value}" has an invalid format`);
+      }
+      return { value, error: null, warning: null };
+  }
+};
+
+/**
+ * Validate raw catalog rows
+ * A product stocked in several warehouses has one row per warehouse with
+ * the same productId. The rows are merged into one product: the first row
+ * supplies the product's fields and primary warehouse, every row adds an
+ * entry to `warehouses`, and `stockQty` becomes the total across them.
+ * @param {Array<{ line: number, row: Object }>} rawRows - Rows of raw string values with CSV line numbers
+ * @param {string[]} headers - CSV header columns
+ * @param {Array<Object>} parseErrors - Row errors from the CSV parser ({ line, message })
+ * @param {Object} schema - Product schema (default: PRODUCT_SCHEMA)
+ * @returns {Object} Valid products and health report
+ */
+export const validateCatalog = (rawRows, headers, parseErrors = [], schema = PRODUCT_SCHEMA) => {
+  const issues = [];
+  const products = [];
+  const seenIds = {};
+  const productsById = new Map();
+  let acceptedRows = 0;
+
+  // Header-level checks
+  const missingColumns = Object.keys(schema).filter(column => !headers.includes(column));
+  missingColumns.forEach(column => {
+    issues.push(createIssue(
+      schema[column].required ? 'error' : 'warning',
+      1,
+      '',
+      column,
+      '',
+      schema[column].required ? 'Required column is missing' : 'Column is missing; defaults will be used'
+    ));
+  });
+
+  headers
+    .filter(header => !schema[header])
+    .forEach(header => {
+      issues.push(createIssue('warning', 1, '', header, '', 'Unknown column will be ignored by validation'));
+    });
+
+  // Rows the parser could not split into the right number of columns
+  parseErrors.forEach(error => {
+    issues.push(createIssue('error', error.line, (error.values || [])[0], '', '', error.message));
+  });
+
+  rawRows.forEach(({ line, row }) => {
+    const productId = (row.productId || '').trim();
+    const product = {};
+    let hasError = false;
+
+    Object.keys(schema).forEach(column => {
+      if (missingColumns.includes(column) && schema[column].required) {
+        hasError = true;
+        return;
+      }
+
+      const result = validateValue(row[column], schema[column]);
+      product[column] = result.value;
+
+      if (result.error) {
+        hasError = true;
+        issues.push(createIssue('error', line, productId, column, row[column], result.error));
+      } else if (result.warning) {
+        issues.push(createIssue('warning', line, productId, column, row[column], result.warning));
+      }
+    });
+
+    // Keep unknown columns as-is
+    headers
+      .filter(header => !schema[header])
+      .forEach(header => {
+        product[header] = row[header];
+      });
+
+    const warehouse = {
+      location: product.warehouseLocation,
+      stockQty: product.stockQty,
+      leadTimeDays: product.leadTimeDays
+    };
+    const first = productsById.get(productId);
+
+    // A bad row for another warehouse is rejected with its own errors
+    if (first && hasError) return;
+
+    if (first && !first.warehouses.some(w => w.location === warehouse.location)) {
+      // Another warehouse for a product seen earlier
+      first.warehouses.push(warehouse);
+      first.stockQty += warehouse.stockQty;
+      acceptedRows++;
+
+      const differing = Object.keys(schema).filter(column =>
+        column !== 'productId' && !WAREHOUSE_COLUMNS.includes(column) && product[column] !== first[column]
+      );
+      if (differing.length > 0) {
+        issues.push(createIssue(
+          'warning',
+          line,
+          productId,
+          differing[0],
+          row[differing[0]],
+          `Differs from line ${seenIds[productId]} in ${differing.join(', ')}; only warehouse, stock and lead time are used from this row`
+        ));
+      }
+      return;
+    }
+
+    // Only accepted rows count: a rejected first row leaves later rows for
+    // the product to be accepted (and merged) instead
+    if (productId && first) {
+      hasError = true;
+      issues.push(createIssue(
+        'error',
+        line,
+        productId,
+        'productId',
+        productId,
+        `Duplicate product ID and warehouse (first seen on line ${seenIds[productId]})`
+      ));
+    }
+
+    if (!hasError) {
+      seenIds[productId] = line;
+      product.warehouses = [warehouse];
+      products.push(product);
+      productsById.set(productId, product);
+      acceptedRows++;
+    }
+  });
+
+  const totalRows = rawRows.length + parseErrors.length;
+
+  issues.sort((a, b) => a.line - b.line);
+
+  return {
+    products,
+    report: {
+      issues,
+      summary: {
+        totalRows,
+        validRows: acceptedRows,
+        rejectedRows: totalRows - acceptedRows,
+        errorCount: issues.filter(issue => issue.severity === 'error').length,
+        warningCount: issues.filter(issue => issue.severity === 'warning').length
+      }
+    }
+  };
+};
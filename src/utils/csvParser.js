@@ -2,68 +2,189 @@
  * CSV Parser utility for loading product data
  */
 
+import { validateCatalog } from './catalogValidator.js';
+import { getStoredCatalog } from './catalogStorage.js';
+
 /**
- * Parse CSV text into array of objects
- * @param {string} csvText - Raw CSV text
- * @returns {Array<Object>} Array of parsed objects
+ * Create an RFC 4180 CSV record parser
+ * Handles quoted fields containing delimiters, newlines and escaped quotes,
+ * CRLF/LF/CR line endings, a leading UTF-8 BOM and custom delimiters.
+ * Text can be written in arbitrary chunks, so records split across chunk
+ * boundaries are handled.
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @param {Function} options.onRecord - Called with (fields, line) for each record
+ * @param {Function} options.onError - Called with ({ line, message }) for malformed input
+ * @returns {{ write: Function, end: Function }} Parser
  */
-export const parseCSV = (csvText) => {
-  const lines = csvText.split('\n').filter(line => line.trim());
-  if (lines.length === 0) return [];
+export const createCSVParser = ({ delimiter = ',', onRecord, onError } = {}) => {
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let fieldQuoted = false;
+  let quotePending = false; // saw '"' inside quotes; next char decides escape vs close
+  let pendingCR = false; // saw '\r'; skip a following '\n'
+  let atStart = true;
+  let line = 1;
+  let recordLine = 1;
 
-  const headers = parseCSVLine(lines[0]);
-  const data = [];
+  const endField = () => {
+    record.push(field);
+    field = '';
+    fieldQuoted = false;
+  };
 
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length !== headers.length) continue;
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (!(record.length === 1 && record[0] === '')) {
+      onRecord(record, recordLine);
+    }
+    record = [];
+  };
 
-    const obj = {};
-    headers.forEach((header, index) => {
-      obj[header] = parseValue(header, values[index]);
-    });
-    data.push(obj);
-  }
+  const write = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
 
-  return data;
+      if (atStart) {
+        atStart = false;
+        if (char === '\uFEFF') continue; // UTF-8 BOM
+      }
+
+      if (pendingCR) {
+        pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (char === '"') {
+            // Escaped quote
+            field += '"';
+            continue;
+          }
+          // Closing quote; handle this char as unquoted below
+          inQuotes = false;
+        } else if (char === '"') {
+          quotePending = true;
+          continue;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '' && !fieldQuoted) {
+        inQuotes = true;
+        fieldQuoted = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\r' || char === '\n') {
+        endRecord();
+        pendingCR = char === '\r';
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    if (quotePending) {
+      quotePending = false;
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      inQuotes = false;
+      if (onError) {
+        onError({ line: recordLine, message: 'Unterminated quoted field' });
+      }
+    }
+    if (field !== '' || fieldQuoted || record.length > 0) {
+      endRecord();
+    }
+  };
+
+  return { write, end };
 };
 
 /**
- * Parse a single CSV line, handling quoted values
- * @param {string} line - CSV line
- * @returns {Array<string>} Array of values
+ * Build a record handler that turns CSV records into row objects
+ * The first record is the header row; rows with the wrong column count are
+ * reported through onRowError instead of being added
+ * @param {Function} onRow - Called with (row, line) for each row
+ * @param {Function} onRowError - Called with ({ line, message, expected, actual, values })
+ * @param {Object} options - Builder options
+ * @param {boolean} options.parseValues - Convert known numeric columns (default true); false keeps raw strings
+ * @param {Function} options.onHeaders - Called with the header columns
+ * @returns {Function} Record handler for createCSVParser
  */
-const parseCSVLine = (line) => {
-  const values = [];
-  let current = '';
-  let inQuotes = false;
+const createRowBuilder = (onRow, onRowError, { parseValues = true, onHeaders } = {}) => {
+  let headers = null;
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
+  return (values, line) => {
+    if (!headers) {
+      headers = values.map(header => header.trim());
+      if (onHeaders) onHeaders(headers);
+      return;
+    }
 
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        // Escaped quote
-        current += '"';
-        i++; // Skip next quote
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      // End of field
-      values.push(current);
-      current = '';
-    } else {
-      current += char;
+    if (values.length !== headers.length) {
+      onRowError({
+        line,
+        message: `Expected ${headers.length} columns but found ${values.length}`,
+        expected: headers.length,
+        actual: values.length,
+        values
+      });
+      return;
     }
-  }
 
-  // Add last value
-  values.push(current);
+    const obj = {};
+    headers.forEach((header, index) => {
+      obj[header] = parseValues ? parseValue(header, values[index]) : values[index];
+    });
+    onRow(obj, line);
+  };
+};
 
-  return values;
+/**
+ * Default handler for malformed rows
+ * @param {Object} error - Row error
+ */
+const warnRowError = (error) => {
+  console.warn(`CSV line ${error.line}: ${error.message}`);
+};
+
+/**
+ * Parse CSV text into array of objects
+ * @param {string} csvText - Raw CSV text
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @param {Function} options.onRowError - Called for malformed rows (default: console.warn)
+ * @param {boolean} options.parseValues - Convert known numeric columns (default true)
+ * @returns {Array<Object>} Array of parsed objects
+ */
+export const parseCSV = (csvText, {
+  delimiter = ',',
+  onRowError = warnRowError,
+  parseValues = true
+} = {}) => {
+  const data = [];
+  const parser = createCSVParser({
+    delimiter,
+    onRecord: createRowBuilder(row => data.push(row), onRowError, { parseValues }),
+    onError: onRowError
+  });
+
+  parser.write(csvText);
+  parser.end();
+
+  return data;
 };
 
 /**
@@ -97,26 +218,150 @@ const parseValue = (header, value) => {
 };
 
 /**
- * Load products from CSV file
+ * Create a collector that gathers raw catalog rows for validation
+ * @param {string} delimiter - Field delimiter
+ * @returns {{ parser: Object, rowCount: Function, validate: Function }} Collector
+ */
+const createCatalogCollector = (delimiter) => {
+  const rawRows = [];
+  const parseErrors = [];
+  let headers = [];
+
+  const parser = createCSVParser({
+    delimiter,
+    onRecord: createRowBuilder(
+      (row, line) => rawRows.push({ line, row }),
+      error => parseErrors.push(error),
+      { parseValues: false, onHeaders: columns => { headers = columns; } }
+    ),
+    onError: error => parseErrors.push(error)
+  });
+
+  return {
+    parser,
+    rowCount: () => rawRows.length,
+    validate: () => validateCatalog(rawRows, headers, parseErrors)
+  };
+};
+
+/**
+ * Parse and validate catalog CSV text against the product schema
+ * @param {string} csvText - Raw CSV text
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @returns {{ products: Array<Object>, report: Object }} Valid products and catalog health report
+ */
+export const parseCatalog = (csvText, { delimiter = ',' } = {}) => {
+  const collector = createCatalogCollector(delimiter);
+
+  collector.parser.write(csvText);
+  collector.parser.end();
+
+  return collector.validate();
+};
+
+/**
+ * Yield to the event loop so the UI can update between chunks
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Load and validate a product catalog from a CSV file
+ * The response body is parsed incrementally as it streams in, so large
+ * catalogs don't block the UI. Rows that fail schema validation are left out
+ * and listed in the report. A catalog accepted through the import screen
+ * takes precedence over the file.
  * @param {string} filePath - Path to CSV file
- * @returns {Promise<Array<Object>>} Promise resolving to array of products
+ * @param {Object} options - Load options
+ * @param {string} options.delimiter - Field delimiter (default ',')
+ * @param {Function} options.onProgress - Called with ({ rows, bytesLoaded, totalBytes }) after each chunk
+ * @param {boolean} options.useStoredCatalog - Use the accepted imported catalog if present (default true)
+ * @returns {Promise<{ products: Array<Object>, report: Object, source: Object }>} Valid products, catalog health report and where they came from
  */
-export const loadProductsFromCSV = async (filePath) => {
+export const loadCatalogFromCSV = async (filePath, {
+  delimiter = ',',
+  onProgress,
+  useStoredCatalog = true
+} = {}) => {
+  const storedCatalog = useStoredCatalog ? getStoredCatalog() : null;
+  if (storedCatalog) {
+    return {
+      ...parseCatalog(storedCatalog.csvText, { delimiter }),
+      source: {
+        type: 'imported',
+        fileName: storedCatalog.fileName,
+        acceptedAt: storedCatalog.acceptedAt,
+        acceptedBy: storedCatalog.acceptedBy
+      }
+    };
+  }
+
+  const source = { type: 'file', filePath };
+
   try {
     const response = await fetch(filePath);
     if (!response.ok) {
       throw new Error(`Failed to load CSV: ${response.statusText}`);
     }
-    const csvText = await response.text();
-    return parseCSV(csvText);
+
+    // Fall back to buffered parsing where streaming bodies are unavailable
+    if (!response.body || !response.body.getReader) {
+      const csvText = await response.text();
+      return { ...parseCatalog(csvText, { delimiter }), source };
+    }
+
+    const collector = createCatalogCollector(delimiter);
+    const totalBytes = parseInt(response.headers.get('Content-Length')) || null;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let bytesLoaded = 0;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      bytesLoaded += value.byteLength;
+      collector.parser.write(decoder.decode(value, { stream: true }));
+
+      if (onProgress) {
+        onProgress({ rows: collector.rowCount(), bytesLoaded, totalBytes });
+      }
+      await yieldToEventLoop();
+    }
+
+    collector.parser.write(decoder.decode());
+    collector.parser.end();
+
+    return { ...collector.validate(), source };
   } catch (error) {
     console.error('Error loading products from CSV:', error);
     throw error;
   }
 };
 
+/**
+ * Load products from CSV file
+ * Only rows that pass schema validation are returned; use loadCatalogFromCSV
+ * to get the health report as well
+ * @param {string} filePath - Path to CSV file
+ * @param {Object} options - Load options (see loadCatalogFromCSV)
+ * @returns {Promise<Array<Object>>} Promise resolving to array of products
+ */
+export const loadProductsFromCSV = async (filePath, options = {}) => {
+  const { products, report } = await loadCatalogFromCSV(filePath, options);
+
+  if (report.summary.rejectedRows > 0) {
+    console.warn(`${report.summary.rejectedRows} catalog row(s) failed validation and were skipped`);
+  }
+
+  return products;
+};
+
 /**
  * Calculate shipping days based on warehouse and destination
+ * Regional estimate, used by services/transitEstimator.js when the project
+ * ZIP code is unknown
  * @param {string} warehouseState - Warehouse state code
  * @param {string} destinationState - Destination state code
  * @returns {number} Estimated shipping days
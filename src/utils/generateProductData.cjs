@@ -180,6 +180,32 @@ const generateProducts = (count) => {
   return products;
 };
 
+// Stock some products in more warehouses (one extra row per warehouse, same productId)
+const generateWarehouseRows = (products) => {
+  const rows = [];
+
+  products.forEach(product => {
+    rows.push(product);
+    if (Math.random() > 0.1) return;
+
+    const numExtra = Math.floor(Math.random() * 2) + 1;
+    const used = [product.warehouseLocation];
+    for (let i = 0; i < numExtra; i++) {
+      const state = states[Math.floor(Math.random() * states.length)];
+      if (used.includes(state)) continue;
+      used.push(state);
+      rows.push({
+        ...product,
+        warehouseLocation: state,
+        stockQty: Math.floor(Math.random() * 2000),
+        leadTimeDays: generateShippingDays(state)
+      });
+    }
+  });
+
+  return rows;
+};
+
 // Generate CSV
 const generateCSV = (products) => {
   const headers = [
@@ -212,7 +238,7 @@ console.log('Generating product data...');
 const products = generateProducts(2000);
 
 console.log('Creating CSV file...');
-const csv = generateCSV(products);
+const csv = generateCSV(generateWarehouseRows(products));
 
 fs.writeFileSync('public/products.csv', csv);
 console.log(`Successfully generated products.csv with ${products.length} products!`);
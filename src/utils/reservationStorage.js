@@ -0,0 +1,46 @@
+/**
+ * Reservation Storage
+ * Persists inventory reservations in localStorage, shared by every user of
+ * this browser so one rep's saved project holds stock against another's
+ */
+
+const STORAGE_KEY = 'inventoryReservations';
+
+/**
+ * Get all stored reservations
+ * @returns {Object} projectId -> reservation (see createReservation)
+ */
+export const getStoredReservations = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('Ignoring unreadable stored reservations:', error);
+    return {};
+  }
+};
+
+/**
+ * Store a project's reservation, replacing any it held before
+ * A reservation without items is removed instead.
+ * @param {Object} reservation - Reservation (see createReservation)
+ */
+export const saveStoredReservation = (reservation) => {
+  const reservations = getStoredReservations();
+  if (Object.keys(reservation.items).length > 0) {
+    reservations[reservation.projectId] = reservation;
+  } else {
+    delete reservations[reservation.projectId];
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(reservations));
+};
+
+/**
+ * Release a project's reservation
+ * @param {string} projectId - Project ID
+ */
+export const removeStoredReservation = (projectId) => {
+  const reservations = getStoredReservations();
+  delete reservations[projectId];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(reservations));
+};
@@ -0,0 +1,82 @@
+/**
+ * ZIP Code and State Centroids
+ * Offline location data for transit estimates: approximate state centers,
+ * the state each 3-digit ZIP prefix belongs to, and centers for the
+ * prefixes of major metro areas. Prefixes without their own center use
+ * their state's.
+ */
+
+// Approximate center of each state [latitude, longitude]
+export const STATE_CENTROIDS = {
+  AL: [32.81, -86.79], AK: [61.37, -152.40], AZ: [33.73, -111.43], AR: [34.97, -92.37],
+  CA: [36.12, -119.68], CO: [39.06, -105.31], CT: [41.60, -72.76], DE: [39.32, -75.51],
+  DC: [38.90, -77.03], FL: [27.77, -81.69], GA: [33.04, -83.64], HI: [21.09, -157.50],
+  ID: [44.24, -114.48], IL: [40.35, -88.99], IN: [39.85, -86.26], IA: [42.01, -93.21],
+  KS: [38.53, -96.73], KY: [37.67, -84.67], LA: [31.17, -91.87], ME: [44.69, -69.38],
+  MD: [39.06, -76.80], MA: [42.23, -71.53], MI: [43.33, -84.54], MN: [45.69, -93.90],
+  MS: [32.74, -89.68], MO: [38.46, -92.29], MT: [46.92, -110.45], NE: [41.13, -98.27],
+  NV: [38.31, -117.06], NH: [43.45, -71.56], NJ: [40.30, -74.52], NM: [34.84, -106.25],
+  NY: [42.17, -74.95], NC: [35.63, -79.81], ND: [47.53, -99.78], OH: [40.39, -82.76],
+  OK: [35.57, -96.93], OR: [44.57, -122.07], PA: [40.59, -77.21], RI: [41.68, -71.51],
+  SC: [33.86, -80.95], SD: [44.30, -99.44], TN: [35.75, -86.69], TX: [31.05, -97.56],
+  UT: [40.15, -111.86], VT: [44.05, -72.71], VA: [37.77, -78.17], WA: [47.40, -121.49],
+  WV: [38.49, -80.95], WI: [44.27, -89.62], WY: [42.76, -107.30]
+};
+
+// 3-digit ZIP prefix ranges by state [first, last, state]; the first matching range wins
+export const ZIP3_RANGES = [
+  [5, 5, 'NY'], [55, 55, 'MA'], [63, 63, 'NY'], [201, 201, 'VA'], [569, 569, 'DC'],
+  [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'], [50, 59, 'VT'],
+  [60, 69, 'CT'], [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'],
+  [200, 205, 'DC'], [206, 219, 'MD'], [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'],
+  [290, 299, 'SC'], [300, 319, 'GA'], [320, 349, 'FL'], [350, 369, 'AL'], [370, 385, 'TN'],
+  [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'], [430, 459, 'OH'], [460, 479, 'IN'],
+  [480, 499, 'MI'], [500, 528, 'IA'], [530, 549, 'WI'], [550, 567, 'MN'], [570, 577, 'SD'],
+  [580, 588, 'ND'], [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'],
+  [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'], [730, 749, 'OK'], [750, 799, 'TX'],
+  [800, 816, 'CO'], [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'],
+  [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'], [967, 968, 'HI'],
+  [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+// Centers of major metro ZIP prefixes [latitude, longitude]
+export const ZIP3_CENTROIDS = {
+  '021': [42.36, -71.06],   // Boston
+  '100': [40.75, -73.99],   // New York
+  '101': [40.75, -73.99],
+  '102': [40.75, -73.99],
+  '112': [40.65, -73.95],   // Brooklyn
+  '152': [40.44, -79.99],   // Pittsburgh
+  '191': [39.95, -75.17],   // Philadelphia
+  '200': [38.90, -77.04],   // Washington
+  '212': [39.29, -76.61],   // Baltimore
+  '282': [35.23, -80.84],   // Charlotte
+  '303': [33.75, -84.39],   // Atlanta
+  '322': [30.33, -81.66],   // Jacksonville
+  '331': [25.77, -80.19],   // Miami
+  '372': [36.16, -86.78],   // Nashville
+  '432': [39.96, -83.00],   // Columbus
+  '441': [41.50, -81.69],   // Cleveland
+  '482': [42.33, -83.05],   // Detroit
+  '554': [44.98, -93.27],   // Minneapolis
+  '606': [41.88, -87.63],   // Chicago
+  '631': [38.63, -90.20],   // St. Louis
+  '641': [39.10, -94.58],   // Kansas City
+  '701': [29.95, -90.07],   // New Orleans
+  '752': [32.78, -96.80],   // Dallas
+  '770': [29.76, -95.37],   // Houston
+  '782': [29.42, -98.49],   // San Antonio
+  '787': [30.27, -97.74],   // Austin
+  '802': [39.74, -104.99],  // Denver
+  '841': [40.76, -111.89],  // Salt Lake City
+  '850': [33.45, -112.07],  // Phoenix
+  '891': [36.17, -115.14],  // Las Vegas
+  '900': [34.05, -118.25],  // Los Angeles
+  '921': [32.72, -117.16],  // San Diego
+  '941': [37.77, -122.42],  // San Francisco
+  '958': [38.58, -121.49],  // Sacramento
+  '968': [21.31, -157.86],  // Honolulu
+  '972': [45.52, -122.68],  // Portland
+  '981': [47.61, -122.33],  // Seattle
+  '995': [61.22, -149.90]   // Anchorage
+};
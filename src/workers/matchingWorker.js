@@ -0,0 +1,55 @@
+/**
+ * Matching Worker
+ * Runs findMatchingProducts and analyzeProject off the main thread
+ *
+ * Messages in:
+ *   { type: 'setCatalog', products }
+ *   { type: 'analyze', requestId, spec, rules, reserved }
+ * Messages out:
+ *   { type: 'progress', requestId, progress: { stage, completed, total } }
+ *   { type: 'result', requestId, analysis, criteria } (criteria: IDs of the scoring criteria run)
+ *   { type: 'error', requestId, message }
+ */
+
+import { mergeRules } from '../config/businessRules.js';
+import { findMatchingProducts, analyzeProject } from '../services/productMatcher.js';
+import { getCatalogIndex } from '../services/catalogIndex.js';
+import { getScoringCriteria } from '../services/scoringCriteria.js';
+
+let products = [];
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'setCatalog':
+      products = data.products;
+      getCatalogIndex(products);
+      break;
+
+    case 'analyze': {
+      const { requestId, spec, reserved } = data;
+      const postProgress = (progress) => self.postMessage({ type: 'progress', requestId, progress });
+
+      try {
+        // Rules arrive without functions; the configured custom hooks fill in
+        const rules = mergeRules(data.rules);
+        const matches = findMatchingProducts(products, spec, rules, { onProgress: postProgress, reserved });
+
+        postProgress({ stage: 'analyzing', completed: matches.length, total: matches.length });
+        const analysis = analyzeProject(matches, spec, rules);
+
+        self.postMessage({
+          type: 'result',
+          requestId,
+          analysis,
+          criteria: getScoringCriteria(rules.scoringPipeline).map(criterion => criterion.id)
+        });
+      } catch (error) {
+        self.postMessage({ type: 'error', requestId, message: error.message });
+      }
+      break;
+    }
+
+    default:
+      console.warn('Unknown matching worker message:', data.type);
+  }
+};